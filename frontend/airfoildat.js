@@ -0,0 +1,235 @@
+import * as THREE from 'three';
+import { adaptiveResample, chordStations, naturalSpline } from './nacaprofile.js';
+
+// Parses a Selig or Lednicer .dat airfoil file into unit-chord upper and
+// lower surfaces, both ordered leading edge -> trailing edge.
+//   Selig:    name line, then one loop TE -> upper -> LE -> lower -> TE
+//   Lednicer: name line, 'NU NL' point counts, upper LE -> TE, lower LE -> TE
+export function parseDatFile(text, fallbackName = 'imported') {
+    const lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(l => l.length > 0);
+    if (lines.length === 0) throw new Error('Empty airfoil file');
+
+    function parsePair(line) {
+        const parts = line.split(/[\s,;]+/).filter(Boolean);
+        if (parts.length < 2) return null;
+        const x = parseFloat(parts[0]);
+        const y = parseFloat(parts[1]);
+        return (Number.isFinite(x) && Number.isFinite(y)) ? [x, y] : null;
+    }
+
+    let name = fallbackName;
+    let start = 0;
+    if (!parsePair(lines[0])) {
+        name = lines[0];
+        start = 1;
+    }
+    const pairs = lines.slice(start).map(parsePair).filter(Boolean);
+    if (pairs.length < 2) throw new Error(`No coordinates found in airfoil file "${name}"`);
+    // multi-element files (as exported with high-lift devices) separate the elements with 999.0 999.0
+    if (pairs.some(([x, y]) => x >= 999 && y >= 999)) throw new Error(`Airfoil file "${name}" has several elements; import a single-element profile`);
+
+    let upper;
+    let lower;
+    let format;
+    // Lednicer files start with the point counts, which are always > 1
+    if (pairs[0][0] > 1.5 && pairs[0][1] > 1.5) {
+        format = 'lednicer';
+        const nu = Math.round(pairs[0][0]);
+        const nl = Math.round(pairs[0][1]);
+        if (pairs.length - 1 < nu + nl) throw new Error(`Lednicer file "${name}" declares ${nu}+${nl} points but has ${pairs.length - 1}`);
+        upper = pairs.slice(1, 1 + nu);
+        lower = pairs.slice(1 + nu, 1 + nu + nl);
+    } else {
+        format = 'selig';
+        let le = 0;
+        for (let i = 1; i < pairs.length; i++) if (pairs[i][0] < pairs[le][0]) le = i;
+        upper = pairs.slice(0, le + 1).reverse();
+        lower = pairs.slice(le);
+    }
+    if (upper.length < 2 || lower.length < 2) throw new Error(`Airfoil file "${name}" needs points on both surfaces`);
+
+    // normalise: leading edge to the origin, trailing-edge midpoint to (1, 0)
+    const leX = (upper[0][0] + lower[0][0]) / 2;
+    const leY = (upper[0][1] + lower[0][1]) / 2;
+    const teX = (upper[upper.length - 1][0] + lower[lower.length - 1][0]) / 2;
+    const teY = (upper[upper.length - 1][1] + lower[lower.length - 1][1]) / 2;
+    const chord = Math.hypot(teX - leX, teY - leY);
+    if (!(chord > 0)) throw new Error(`Airfoil file "${name}" has zero chord`);
+    const cos = (teX - leX) / chord;
+    const sin = (teY - leY) / chord;
+    const normalise = ([x, y]) => {
+        const dx = x - leX;
+        const dy = y - leY;
+        return [(dx * cos + dy * sin) / chord, (-dx * sin + dy * cos) / chord];
+    };
+    upper = upper.map(normalise);
+    lower = lower.map(normalise);
+
+    // some files list the lower surface first
+    const meanY = pts => pts.reduce((sum, p) => sum + p[1], 0) / pts.length;
+    if (meanY(upper) < meanY(lower)) [upper, lower] = [lower, upper];
+
+    return { name, format, upper, lower };
+}
+
+// Resample one surface (LE -> TE) to n + 1 points, spaced in arc length
+// like the generators space x (cosine unless another spacing is given).
+// Adaptive spacing returns a dense cosine resample for adaptiveResample.
+function resampleSurface(pts, n, spacing = 'cosine') {
+    const clean = pts.filter((p, i) => i === 0 || Math.hypot(p[0] - pts[i - 1][0], p[1] - pts[i - 1][1]) > 1e-12);
+    const s = [0];
+    for (let i = 1; i < clean.length; i++) {
+        s.push(s[i - 1] + Math.hypot(clean[i][0] - clean[i - 1][0], clean[i][1] - clean[i - 1][1]));
+    }
+    const total = s[s.length - 1];
+    if (clean.length < 3) {
+        // too few points for a spline: linear interpolation along the segment
+        const out = [];
+        chordStations(n, spacing === 'adaptive' ? 'cosine' : spacing).forEach((u) => {
+            out.push([clean[0][0] + (clean[clean.length - 1][0] - clean[0][0]) * u, clean[0][1] + (clean[clean.length - 1][1] - clean[0][1]) * u]);
+        });
+        return out;
+    }
+    const sx = naturalSpline(s, clean.map(p => p[0]));
+    const sy = naturalSpline(s, clean.map(p => p[1]));
+    const stations = spacing === 'adaptive' ? chordStations(Math.max(4 * n, 400), 'cosine') : chordStations(n, spacing);
+    return stations.map(u => [sx(u * total), sy(u * total)]);
+}
+
+// Same layout as naca4Coordinates: upper LE -> TE, lower TE -> LE, chord centered on x = 0.
+// options.spacing / options.minSegment (percent chord) as for the NACA generators.
+export function datCoordinates(profile, chord = 1, n = 200, options = {}) {
+    const spacing = options.spacing || 'cosine';
+    let upper = resampleSurface(profile.upper, n, spacing);
+    let lower = resampleSurface(profile.lower, n, spacing);
+    if (spacing === 'adaptive') {
+        const minSegment = Math.max(0, parseFloat(options.minSegment) || 0) / 100;
+        const refine = pts => adaptiveResample(pts.map(([x, y]) => new THREE.Vector2(x, y)), n, minSegment).map(p => [p.x, p.y]);
+        upper = refine(upper);
+        lower = refine(lower);
+    }
+    const coords = [];
+    for (let i = 0; i < upper.length; i++) coords.push(new THREE.Vector2(upper[i][0] * chord - chord / 2, upper[i][1] * chord));
+    for (let i = lower.length - 1; i >= 0; i--) coords.push(new THREE.Vector2(lower[i][0] * chord - chord / 2, lower[i][1] * chord));
+    return coords;
+}
+
+// --- Mode switches ---
+// Switching modes reloads the page and the URL only has room for the file's
+// name (?dat=), so the parsed profile waits in sessionStorage under that name.
+const STORAGE_PREFIX = 'airfoil-dat:';
+
+export function storeImportedProfile(profile) {
+    try {
+        sessionStorage.setItem(STORAGE_PREFIX + profile.name, JSON.stringify(profile));
+    } catch (e) {
+        console.warn(`Could not keep "${profile.name}" for the next mode:`, e.message);
+    }
+}
+
+// The stored profile for a ?dat= name, or null when this tab has none (e.g. a
+// shared link); that is reported, as the NACA code is used instead.
+export function loadImportedProfile(name) {
+    if (!name) return null;
+    try {
+        const profile = JSON.parse(sessionStorage.getItem(STORAGE_PREFIX + name));
+        datCoordinates(profile, 1, 4);
+        return profile;
+    } catch (e) {
+        console.warn(`Imported airfoil "${name}" is not available in this tab; using the NACA code instead`);
+        return null;
+    }
+}
+
+// --- Export ---
+// All exporters take the centered point array produced by the generators
+// (upper LE -> TE, lower TE -> LE) so the file matches the rendered profile.
+// A profile split by high-lift devices is passed as the list of element
+// contours from highLiftElements() instead, and each element is written as
+// its own closed loop.
+
+function toLeadingEdgeOrigin(points, chord) {
+    return points.map(p => [p.x + chord / 2, p.y]);
+}
+
+function isElementList(points) {
+    return Array.isArray(points[0]);
+}
+
+// Element loop (front along the upper side, back along the lower side) in
+// Selig order: trailing edge (max x) -> upper -> front -> lower -> trailing edge.
+function seligLoop(pts) {
+    let te = 0;
+    pts.forEach(([x], i) => { if (x > pts[te][0]) te = i; });
+    const loop = [];
+    for (let k = 0; k <= pts.length; k++) loop.push(pts[(te - k + pts.length) % pts.length]);
+    return loop;
+}
+
+// Selig format: name line, then upper TE -> LE -> lower TE on a unit chord.
+// Multiple elements follow each other, separated by the "999.0 999.0" line
+// of MSES blade files.
+export function toSeligDat(points, chord = 1, name = 'airfoil') {
+    const unit = pts => toLeadingEdgeOrigin(pts, chord).map(([x, y]) => [x / chord, y / chord]);
+    let loops;
+    if (isElementList(points)) {
+        loops = points.map(el => seligLoop(unit(el)));
+    } else {
+        const pts = unit(points);
+        const half = Math.floor(pts.length / 2);
+        const upper = pts.slice(0, half);
+        const lower = pts.slice(half).reverse();
+        loops = [upper.slice().reverse().concat(lower.slice(1))];
+    }
+    const lines = [name];
+    loops.forEach((loop, i) => {
+        if (i > 0) lines.push(`${'999.0'.padStart(10)} ${'999.0'.padStart(10)}`);
+        for (const [x, y] of loop) lines.push(`${x.toFixed(6).padStart(10)} ${y.toFixed(6).padStart(10)}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+// CSV with leading edge at the origin, in the same units as the chord; an
+// element column (0 = front) is added for multi-element profiles.
+export function toCsv(points, chord = 1, unit = 'mm') {
+    if (!isElementList(points)) {
+        const lines = [`x_${unit},y_${unit}`];
+        for (const [x, y] of toLeadingEdgeOrigin(points, chord)) lines.push(`${x.toFixed(6)},${y.toFixed(6)}`);
+        return lines.join('\n') + '\n';
+    }
+    const lines = [`element,x_${unit},y_${unit}`];
+    points.forEach((el, i) => {
+        for (const [x, y] of toLeadingEdgeOrigin(el, chord)) lines.push(`${i},${x.toFixed(6)},${y.toFixed(6)}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+// 1:1 SVG: width/height carry the unit so printing at 100% reproduces the chord.
+export function toSvg(points, chord = 1, name = 'airfoil', unit = 'mm') {
+    const loops = (isElementList(points) ? points : [points]).map(el => toLeadingEdgeOrigin(el, chord));
+    const xs = loops.flat().map(p => p[0]);
+    const ys = loops.flat().map(p => p[1]);
+    // deflected devices can reach past the chord line ends
+    const xMin = Math.min(0, ...xs);
+    const xMax = Math.max(chord, ...xs);
+    const margin = chord * 0.05;
+    const textSize = chord * 0.04;
+    const minY = Math.min(...ys) - margin - textSize * 1.5;
+    const maxY = Math.max(...ys) + margin;
+    const width = xMax - xMin + 2 * margin;
+    const x0 = margin - xMin;
+    const height = maxY - minY;
+    const fmt = v => Number(v.toFixed(6));
+    // SVG y grows downward, so flip about maxY
+    const path = loops.map(pts => pts.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${fmt(x + x0)},${fmt(maxY - y)}`).join(' ') + ' Z').join(' ');
+    const stroke = fmt(chord * 0.002);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(width)}${unit}" height="${fmt(height)}${unit}" viewBox="0 0 ${fmt(width)} ${fmt(height)}">`,
+        `  <path d="${path}" fill="none" stroke="#000" stroke-width="${stroke}"/>`,
+        `  <line x1="${fmt(x0)}" y1="${fmt(maxY)}" x2="${fmt(x0 + chord)}" y2="${fmt(maxY)}" stroke="#888" stroke-width="${stroke}" stroke-dasharray="${fmt(chord * 0.02)} ${fmt(chord * 0.01)}"/>`,
+        `  <text x="${fmt(margin)}" y="${fmt(height - textSize * 0.5)}" font-family="sans-serif" font-size="${fmt(textSize)}">${name.replace(/[<&>]/g, '')} — chord ${fmt(chord)} ${unit}</text>`,
+        '</svg>',
+        ''
+    ].join('\n');
+}
@@ -0,0 +1,75 @@
+import { chordStations, cstBasis, leastSquares } from './nacaprofile.js';
+import { airfoilCoordinates } from './airfoilregistry.js';
+import { interpolateSurface, splitSurfaces } from './airfoilprops.js';
+
+// Least-squares fits of a supplied contour (generator layout, chord centered
+// on x = 0) to the nearest NACA 4/5-digit section or to CST weights.
+// RMS deviations are in fractions of chord, over both surfaces.
+
+const FIT_STATIONS = chordStations(60, 'cosine').slice(1);
+
+// upper/lower y at the fit stations, unit chord
+function sampleContour(points, chord) {
+    const { upper, lower } = splitSurfaces(points, chord);
+    const norm = s => s.map(([x, y]) => [x / chord, y / chord]);
+    const u = norm(upper);
+    const l = norm(lower);
+    return { upper: FIT_STATIONS.map(x => interpolateSurface(u, x)), lower: FIT_STATIONS.map(x => interpolateSurface(l, x)) };
+}
+
+function rmsDeviation(a, b) {
+    let sum = 0;
+    for (let i = 0; i < FIT_STATIONS.length; i++) {
+        sum += Math.pow(a.upper[i] - b.upper[i], 2) + Math.pow(a.lower[i] - b.lower[i], 2);
+    }
+    return Math.sqrt(sum / (2 * FIT_STATIONS.length));
+}
+
+// Search 4-digit MPTT and 5-digit LPQTT codes; thickness is only searched
+// around the target's own maximum thickness. Returns the best matches first.
+export function fitNacaCode(points, chord = 1, { maxResults = 5 } = {}) {
+    const target = sampleContour(points, chord);
+    const tMax = Math.max(...target.upper.map((y, i) => y - target.lower[i]));
+    const tEstimate = Math.round(tMax * 100);
+    const thicknesses = [];
+    for (let t = Math.max(1, tEstimate - 3); t <= Math.min(40, tEstimate + 3); t++) thicknesses.push(String(t).padStart(2, '0'));
+
+    const candidates = [];
+    const tryCode = (code, family) => {
+        try {
+            const rms = rmsDeviation(target, sampleContour(airfoilCoordinates(code, 1, 80), 1));
+            if (Number.isFinite(rms)) candidates.push({ code, family, rms });
+        } catch (e) {
+            // designation without a definition (e.g. reflex with P = 1)
+        }
+    };
+    for (const tt of thicknesses) {
+        tryCode(`00${tt}`, '4-digit');
+        for (let m = 1; m <= 9; m++) {
+            for (let p = 1; p <= 9; p++) tryCode(`${m}${p}${tt}`, '4-digit');
+        }
+        for (let l = 1; l <= 9; l++) {
+            for (let p = 1; p <= 5; p++) {
+                for (const q of [0, 1]) tryCode(`${l}${p}${q}${tt}`, '5-digit');
+            }
+        }
+    }
+    candidates.sort((a, b) => a.rms - b.rms);
+    return candidates.slice(0, maxResults);
+}
+
+// Linear least squares for the CST weights of each surface; the trailing-edge
+// thickness dz is taken from the contour itself.
+export function fitCstWeights(points, chord = 1, order = 5) {
+    const target = sampleContour(points, chord);
+    const last = FIT_STATIONS.length - 1;
+    const dz = Math.max(0, target.upper[last] - target.lower[last]);
+    const rows = FIT_STATIONS.map(x => cstBasis(x, order));
+    const round = w => Math.round(w * 1e5) / 1e5;
+    const upper = leastSquares(rows, target.upper.map((y, i) => y - FIT_STATIONS[i] * dz / 2)).map(round);
+    const lower = leastSquares(rows, target.lower.map((y, i) => y + FIT_STATIONS[i] * dz / 2)).map(round);
+    const spec = { upper, lower, dz: round(dz) };
+
+    const evaluate = (weights, sign) => FIT_STATIONS.map(x => cstBasis(x, order).reduce((sum, b, i) => sum + b * weights[i], 0) + sign * x * dz / 2);
+    return { spec, rms: rmsDeviation(target, { upper: evaluate(upper, 1), lower: evaluate(lower, -1) }) };
+}
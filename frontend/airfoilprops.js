@@ -0,0 +1,110 @@
+// Geometric properties of a 2D profile as produced by the generators in
+// nacaprofile.js (upper LE -> TE, lower TE -> LE, chord centered on x = 0).
+// Results are in chord units with x measured from the leading edge.
+
+// Linear interpolation of y(x) on a surface ordered by increasing x.
+export function interpolateSurface(surface, x) {
+    if (x <= surface[0][0]) return surface[0][1];
+    for (let i = 1; i < surface.length; i++) {
+        if (x <= surface[i][0]) {
+            const [x0, y0] = surface[i - 1];
+            const [x1, y1] = surface[i];
+            return x1 === x0 ? y1 : y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+        }
+    }
+    return surface[surface.length - 1][1];
+}
+
+// Split the contour at its trailing edge (maximum x) into upper and lower surfaces, LE -> TE.
+export function splitSurfaces(points, chord = 1) {
+    const pts = points.map(p => [p.x + chord / 2, p.y]);
+    let te = 0;
+    for (let i = 1; i < pts.length; i++) if (pts[i][0] > pts[te][0]) te = i;
+    const upper = pts.slice(0, te + 1);
+    const lower = pts.slice(te + 1).reverse();
+    const byX = (a, b) => a[0] - b[0];
+    return { upper: upper.sort(byX), lower: lower.sort(byX) };
+}
+
+// Radius of the circle through three points (Infinity when collinear).
+function circumradius(a, b, c) {
+    const ab = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    const bc = Math.hypot(c[0] - b[0], c[1] - b[1]);
+    const ca = Math.hypot(a[0] - c[0], a[1] - c[1]);
+    const cross = Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+    return cross < 1e-15 ? Infinity : (ab * bc * ca) / (2 * cross);
+}
+
+export function computeAirfoilProperties(points, chord = 1) {
+    const { upper, lower } = splitSurfaces(points, chord);
+
+    // thickness and camber sampled on a cosine grid
+    const samples = 400;
+    let maxThickness = 0, maxThicknessX = 0;
+    let maxCamber = 0, maxCamberX = 0;
+    for (let i = 0; i <= samples; i++) {
+        const x = (1 - Math.cos((i / samples) * Math.PI)) / 2 * chord;
+        const yu = interpolateSurface(upper, x);
+        const yl = interpolateSurface(lower, x);
+        const thickness = yu - yl;
+        const camber = (yu + yl) / 2;
+        if (thickness > maxThickness) { maxThickness = thickness; maxThicknessX = x; }
+        if (Math.abs(camber) > Math.abs(maxCamber)) { maxCamber = camber; maxCamberX = x; }
+    }
+
+    // leading-edge radius: circle through the nose and both surfaces at 0.1% chord
+    const xr = 0.001 * chord;
+    const le = [(upper[0][0] + lower[0][0]) / 2, (upper[0][1] + lower[0][1]) / 2];
+    const leRadius = circumradius([xr, interpolateSurface(upper, xr)], le, [xr, interpolateSurface(lower, xr)]);
+
+    // trailing-edge angle between the surface tangents over the last 2% of chord
+    const xt = 0.98 * chord;
+    const te = chord;
+    const su = (interpolateSurface(upper, te) - interpolateSurface(upper, xt)) / (te - xt);
+    const sl = (interpolateSurface(lower, te) - interpolateSurface(lower, xt)) / (te - xt);
+    const teAngle = (Math.atan(sl) - Math.atan(su)) * 180 / Math.PI;
+
+    // area, centroid and second moments from the closed polygon (Green's theorem)
+    const poly = points.map(p => [p.x + chord / 2, p.y]);
+    let a = 0, cx = 0, cy = 0, ixx = 0, iyy = 0, ixy = 0;
+    for (let i = 0; i < poly.length; i++) {
+        const [x0, y0] = poly[i];
+        const [x1, y1] = poly[(i + 1) % poly.length];
+        const c = x0 * y1 - x1 * y0;
+        a += c;
+        cx += (x0 + x1) * c;
+        cy += (y0 + y1) * c;
+        ixx += (y0 * y0 + y0 * y1 + y1 * y1) * c;
+        iyy += (x0 * x0 + x0 * x1 + x1 * x1) * c;
+        ixy += (x0 * y1 + 2 * x0 * y0 + 2 * x1 * y1 + x1 * y0) * c;
+    }
+    a /= 2;
+    const area = Math.abs(a);
+    const centroid = area > 0 ? { x: cx / (6 * a), y: cy / (6 * a) } : { x: 0, y: 0 };
+    const sign = Math.sign(a) || 1;
+    // moments about the centroid (parallel axis theorem)
+    const Ixx = sign * ixx / 12 - area * centroid.y * centroid.y;
+    const Iyy = sign * iyy / 12 - area * centroid.x * centroid.x;
+    const Ixy = sign * ixy / 24 - area * centroid.x * centroid.y;
+
+    return {
+        maxThickness, maxThicknessX,
+        maxCamber, maxCamberX,
+        leRadius, teAngle,
+        area, centroid,
+        Ixx, Iyy, Ixy
+    };
+}
+
+// Numeric camber line x -> { yc, dyc } (unit chord) for profiles without an
+// analytic definition, e.g. imported .dat files.
+export function contourCamberLine(points, chord = 1) {
+    const { upper, lower } = splitSurfaces(points, chord);
+    const yc = x => (interpolateSurface(upper, x * chord) + interpolateSurface(lower, x * chord)) / 2 / chord;
+    const h = 1e-3;
+    return function camber(x) {
+        const x0 = Math.max(0, x - h);
+        const x1 = Math.min(1, x + h);
+        return { yc: yc(x), dyc: (yc(x1) - yc(x0)) / (x1 - x0) };
+    };
+}
@@ -0,0 +1,145 @@
+import {
+    BEZIER_DEFAULT, CST_DEFAULT, PARSEC_DEFAULT,
+    bezierCoordinates, cstCoordinates, isModifiedNaca4Code, isNaca6Code,
+    naca4Coordinates, naca4MeanLine, naca5Coordinates, naca5MeanLine,
+    naca6Coordinates, naca6MeanLine, parsecCoordinates, sanitizeNacaCode
+} from './nacaprofile.js';
+import { datCoordinates } from './airfoildat.js';
+
+// Airfoil families by name. Every caller resolves profiles through here, so a
+// family registered once works in normal mode, the span sweep and cinematic
+// mode, as long as the profile itself reaches the other mode: codes and
+// parametric specs travel in the URL, imported files in sessionStorage
+// (airfoildat.js), and anything else falls back to the URL's NACA code.
+//
+// A family is { label, coordinates(spec, chord, n, options), ... } plus, optionally:
+//   pattern(code)   true for designations typed as codes (e.g. NACA digits)
+//   camberLine(spec) analytic x -> { yc, dyc } on a unit chord
+//   displayName(spec)
+//   parametric      offered as a profile type with editable `defaults`
+// `spec` is the code string for code families, the parsed file for 'dat' and
+// the parameter object for parametric families.
+const families = new Map();
+
+export function registerAirfoilFamily(name, family) {
+    families.set(name, Object.assign({ name }, family));
+}
+
+export function getAirfoilFamily(name) {
+    return families.get(name) || null;
+}
+
+export function parametricFamilies() {
+    return [...families.values()].filter(f => f.parametric);
+}
+
+// First registered family whose pattern accepts the code.
+export function resolveAirfoilCode(code) {
+    const str = String(code == null ? '' : code).trim();
+    for (const family of families.values()) {
+        if (family.pattern && family.pattern(str)) return family;
+    }
+    return null;
+}
+
+// Canonical form of a typed code: a designation some family recognises as is,
+// otherwise its digits (4-digit codes zero-padded). '' when nothing fits.
+export function normalizeAirfoilCode(input) {
+    const code = sanitizeNacaCode(input);
+    if (resolveAirfoilCode(code)) return code;
+    const raw = code.replace(/\D/g, '');
+    const padded = raw.length > 0 && raw.length < 4 ? raw.padStart(4, '0') : raw;
+    return resolveAirfoilCode(padded) ? padded : '';
+}
+
+// True when a family recognises the code and its generator accepts it
+// (e.g. rejects 5-digit codes without a camber line definition).
+export function isValidAirfoilCode(code) {
+    const family = resolveAirfoilCode(code);
+    if (!family) return false;
+    try {
+        family.coordinates(code, 1, 2);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+export function airfoilCoordinates(code, chord = 1, n = 200, options = {}) {
+    const family = resolveAirfoilCode(code);
+    if (!family) throw new Error(`Unknown airfoil code: ${code}`);
+    return family.coordinates(code, chord, n, options);
+}
+
+// --- Profile sources ---
+// The active profile in a params object ({ naca, profileType, imported, ... })
+// as { family, spec }: an imported file wins, then a parametric type, then the code.
+export function profileSource(params) {
+    if (params.imported) return { family: 'dat', spec: params.imported };
+    const parametric = families.get(params.profileType);
+    if (parametric && parametric.parametric) return { family: parametric.name, spec: params[parametric.name] };
+    const family = resolveAirfoilCode(params.naca);
+    return { family: family ? family.name : 'naca4', spec: params.naca };
+}
+
+export function sourceCoordinates(source, chord = 1, n = 200, options = {}) {
+    return families.get(source.family).coordinates(source.spec, chord, n, options);
+}
+
+// analytic camber line, or null when the family has none (use the contour instead)
+export function sourceCamberLine(source) {
+    const family = families.get(source.family);
+    return family.camberLine ? family.camberLine(source.spec) : null;
+}
+
+export function sourceName(source) {
+    const family = families.get(source.family);
+    return family.displayName ? family.displayName(source.spec) : family.label;
+}
+
+// --- Built-in families (code patterns are tried in this order) ---
+registerAirfoilFamily('naca6', {
+    label: 'NACA 6-series',
+    pattern: isNaca6Code,
+    coordinates: naca6Coordinates,
+    camberLine: naca6MeanLine,
+    displayName: code => `NACA ${code}`
+});
+registerAirfoilFamily('naca5', {
+    label: 'NACA 5-digit',
+    pattern: code => /^\d{5}$/.test(code),
+    coordinates: naca5Coordinates,
+    camberLine: naca5MeanLine,
+    displayName: code => `NACA ${code}`
+});
+registerAirfoilFamily('naca4', {
+    label: 'NACA 4-digit',
+    pattern: code => /^\d{4}$/.test(code) || isModifiedNaca4Code(code),
+    coordinates: naca4Coordinates,
+    camberLine: naca4MeanLine,
+    displayName: code => `NACA ${code}`
+});
+registerAirfoilFamily('dat', {
+    label: 'Coordinate file',
+    coordinates: datCoordinates,
+    displayName: profile => profile.name
+});
+registerAirfoilFamily('cst', {
+    label: 'CST (Kulfan)',
+    parametric: true,
+    defaults: CST_DEFAULT,
+    coordinates: cstCoordinates,
+    displayName: spec => `CST order ${spec.upper.length - 1}`
+});
+registerAirfoilFamily('bezier', {
+    label: 'Bezier',
+    parametric: true,
+    defaults: BEZIER_DEFAULT,
+    coordinates: bezierCoordinates
+});
+registerAirfoilFamily('parsec', {
+    label: 'PARSEC',
+    parametric: true,
+    defaults: PARSEC_DEFAULT,
+    coordinates: parsecCoordinates
+});
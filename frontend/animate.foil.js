@@ -1,7 +1,11 @@
 // animateFoil.js
 import * as THREE from 'three';
 import { addSpanMorphUI } from './utils.js';
-import { naca4Coordinates, naca5Coordinates } from './nacaprofile.js';
+import { HIGH_LIFT_DEFAULTS } from './highlift.js';
+import { SPACING_MODES, TRAILING_EDGE_MODES, sanitizeNacaCode } from './nacaprofile.js';
+import { getAirfoilFamily, isValidAirfoilCode, normalizeAirfoilCode } from './airfoilregistry.js';
+import { loadImportedProfile } from './airfoildat.js';
+import { CHORD_DISTRIBUTIONS, SWEEP_REFERENCES, TWIST_AXES, TWIST_MODES, legacyShiftSweep, panelSweeps, parsePlanform } from './planform.js';
 
 export function animateFoil(scene, foil, renderer, camera, controls, duration = 30, fps = 60) {
     // OrbitControls'u devre dışı bırak (kamera animasyonu sırasında)
@@ -9,14 +13,36 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
 
     // read initial parameters from URL so cinematic mode mirrors normal mode state
     // Use the project's standard default NACA code (keep consistent with normal mode)
-    let initParams = { naca: '2412', chord: 1.0, points: 200, depth: 3, scale: 3.0 };
+    let initParams = { naca: '2412', chord: 1.0, points: 200, depth: 3, scale: 3.0, te: 'open', teThickness: 0.25, spacing: 'cosine', minSegment: 0.1, ...HIGH_LIFT_DEFAULTS };
     try {
         const p = new URLSearchParams(window.location.search);
-        const n = p.get('naca'); if (n) initParams.naca = String(n).replace(/\D/g, '');
+        const naca = normalizeAirfoilCode(p.get('naca'));
+        if (naca && isValidAirfoilCode(naca)) initParams.naca = naca;
         const chord = parseFloat(p.get('chord')); if (!Number.isNaN(chord)) initParams.chord = chord;
         const points = parseInt(p.get('points'), 10); if (!Number.isNaN(points)) initParams.points = points;
         const depth = parseFloat(p.get('depth')); if (!Number.isNaN(depth)) initParams.depth = depth;
         const scale = parseFloat(p.get('scale')); if (!Number.isNaN(scale)) initParams.scale = scale;
+        const te = p.get('te'); if (TRAILING_EDGE_MODES.includes(te)) initParams.te = te;
+        const teThickness = parseFloat(p.get('tet')); if (!Number.isNaN(teThickness)) initParams.teThickness = Math.max(0, teThickness);
+        const spacing = p.get('spacing'); if (SPACING_MODES.includes(spacing)) initParams.spacing = spacing;
+        const minSegment = parseFloat(p.get('minseg')); if (!Number.isNaN(minSegment)) initParams.minSegment = Math.max(0, minSegment);
+        // high-lift devices set in normal mode (same URL keys as wing.js)
+        [['flapHinge', 'flap'], ['flapDeflection', 'flapdef'], ['flapGap', 'flapgap'], ['slatChord', 'slat'], ['slatDeflection', 'slatdef']].forEach(([key, urlKey]) => {
+            const v = parseFloat(p.get(urlKey)); if (!Number.isNaN(v)) initParams[key] = v;
+        });
+        // parametric profile (CST / Bezier / PARSEC) chosen in normal mode
+        const family = getAirfoilFamily(p.get('type'));
+        if (family && family.parametric) {
+            const type = family.name;
+            try {
+                const spec = JSON.parse(p.get(type));
+                family.coordinates(spec, 1, 4);
+                initParams.profileType = type;
+                initParams[type] = spec;
+            } catch (e) { }
+        }
+        // imported .dat profile (overrides the code and type, as in normal mode)
+        initParams.imported = loadImportedProfile(p.get('dat'));
     } catch (e) { }
 
     // read span morph params from URL
@@ -24,14 +50,54 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
     try {
         const p = new URLSearchParams(window.location.search);
         const s = parseFloat(p.get('start')); if (!Number.isNaN(s)) initSpan.startPercent = Math.max(0, Math.min(1, s));
-        const f = parseFloat(p.get('factor')); if (!Number.isNaN(f)) initSpan.thicknessFactor = f;
+        const f = parseFloat(p.get('factor')); if (!Number.isNaN(f)) initSpan.taperRatio = f;
         const slices = parseInt(p.get('slices'), 10); if (!Number.isNaN(slices)) initSpan.slices = slices;
-        const shift = parseFloat(p.get('shift')); if (!Number.isNaN(shift)) initSpan.shiftAmount = shift;
+        const sweep = parseFloat(p.get('sweep')); if (!Number.isNaN(sweep)) initSpan.sweepAngle = sweep * Math.PI / 180;
+        const innerSweep = parseFloat(p.get('sweepin')); if (!Number.isNaN(innerSweep)) initSpan.innerSweepAngle = innerSweep * Math.PI / 180;
+        const sweepReference = p.get('sweepref'); if (SWEEP_REFERENCES[sweepReference] !== undefined) initSpan.sweepReference = sweepReference;
         const dihedral = parseFloat(p.get('dihedral')); if (!Number.isNaN(dihedral)) initSpan.dihedralAngle = dihedral * Math.PI / 180;
+        // links from before sweep angles carry the outer panel's offset as a chord-unit shift
+        const shift = parseFloat(p.get('shift'));
+        if (!Number.isNaN(shift) && Number.isNaN(sweep)) {
+            const start = initSpan.startPercent !== undefined ? initSpan.startPercent : 0.5;
+            const angle = legacyShiftSweep(shift, start, initSpan.taperRatio !== undefined ? initSpan.taperRatio : 1, initParams.depth / initParams.chord);
+            if (angle !== null) { initSpan.sweepAngle = angle; initSpan.sweepReference = 'le'; }
+        }
+        const dihedralBreaks = p.get('dihbreaks'); if (dihedralBreaks) initSpan.dihedralBreaks = dihedralBreaks;
+        const rootThickness = parseFloat(p.get('tcroot')); if (rootThickness > 0) initSpan.rootThickness = rootThickness;
+        const tipThickness = parseFloat(p.get('tctip')); if (tipThickness > 0) initSpan.tipThickness = tipThickness;
+        const root = normalizeAirfoilCode(p.get('root')); if (root && isValidAirfoilCode(root)) initSpan.rootAirfoil = root;
+        const tip = normalizeAirfoilCode(p.get('tip')); if (tip && isValidAirfoilCode(tip)) initSpan.tipAirfoil = tip;
+        const stations = p.get('stations'); if (stations) initSpan.airfoilStations = stations;
+        // a planform table from normal mode replaces the single-break sliders below
+        const planform = p.get('planform'); if (planform) initSpan.planform = planform;
+        // twist (washout) set in normal mode; the tip incidence also has a slider below
+        const rootIncidence = parseFloat(p.get('twroot')); if (!Number.isNaN(rootIncidence)) initSpan.rootIncidence = rootIncidence;
+        const tipIncidence = parseFloat(p.get('twtip')); if (!Number.isNaN(tipIncidence)) initSpan.tipIncidence = tipIncidence;
+        const twistMode = p.get('twmode'); if (TWIST_MODES.includes(twistMode)) initSpan.twistMode = twistMode;
+        const twistStations = p.get('twist'); if (twistStations) initSpan.twistStations = twistStations;
+        const twistAxis = parseFloat(p.get('twaxis')); if (TWIST_AXES.includes(twistAxis)) initSpan.twistAxis = twistAxis;
+        // chord distribution (elliptical, Schrenk or a custom curve)
+        const chordDistribution = p.get('cdist'); if (CHORD_DISTRIBUTIONS.includes(chordDistribution)) initSpan.chordDistribution = chordDistribution;
+        const chordCurve = p.get('ccurve'); if (chordCurve) initSpan.chordCurve = chordCurve;
+        // control surfaces; the right wing's controller is marked mirrored so its ailerons deflect opposite
+        const controlSurfaces = p.get('ctrl'); if (controlSurfaces) initSpan.controlSurfaces = controlSurfaces;
+        // wingtip treatment; built into each wing's geometry, so the mirrored wing gets it too
+        try {
+            const wingtip = p.get('wingtip'); if (wingtip) initSpan.wingtip = JSON.parse(wingtip);
+        } catch (e) { }
     } catch (e) { }
+    // airfoil blending, thickness, planform table, chord distribution, sweep, twist, wingtip and control surfaces are set from normal mode; keep them across NACA rebuilds
+    const blendSpan = {
+        rootAirfoil: initSpan.rootAirfoil, tipAirfoil: initSpan.tipAirfoil, airfoilStations: initSpan.airfoilStations, planform: initSpan.planform,
+        rootIncidence: initSpan.rootIncidence, tipIncidence: initSpan.tipIncidence, twistMode: initSpan.twistMode, twistStations: initSpan.twistStations, twistAxis: initSpan.twistAxis,
+        innerSweepAngle: initSpan.innerSweepAngle, sweepReference: initSpan.sweepReference, dihedralBreaks: initSpan.dihedralBreaks,
+        rootThickness: initSpan.rootThickness, tipThickness: initSpan.tipThickness, wingtip: initSpan.wingtip,
+        chordDistribution: initSpan.chordDistribution, chordCurve: initSpan.chordCurve, controlSurfaces: initSpan.controlSurfaces
+    };
 
     // controller ile span morph ve dihedral kontrolü (no panel)
-    let controller = addSpanMorphUI(initParams, foil, naca4Coordinates, Object.assign({ appendPanel: false }, initSpan));
+    let controller = addSpanMorphUI(initParams, foil, Object.assign({ appendPanel: false }, initSpan));
 
     // --- Mirror the right wing ---
     const rightWing = foil.clone();
@@ -201,7 +267,7 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
     })();
 
     // Create a second controller for the right wing so it can be morphed independently
-    let rightController = addSpanMorphUI(initParams, rightWing, naca4Coordinates, Object.assign({ appendPanel: false }, initSpan));
+    let rightController = addSpanMorphUI(initParams, rightWing, Object.assign({ appendPanel: false, mirrored: true }, initSpan));
 
     // ✨ CHARMING EFFECT 1: Dynamic Directional Light (Kamera ile hareket eden ışık)
     const dynamicLight = new THREE.DirectionalLight(0xffd4a3, 2);
@@ -213,10 +279,13 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
 
     // Kullanıcı kontrollü parametreler (UI'dan değişecek) — initialize from URL-derived values
     let startPercent = (typeof initSpan.startPercent === 'number') ? initSpan.startPercent : 0.5;
-    let thicknessFactor = (typeof initSpan.thicknessFactor === 'number') ? initSpan.thicknessFactor : 1.0;
-    let shiftAmount = (typeof initSpan.shiftAmount === 'number') ? initSpan.shiftAmount : 0.0;
+    let taperRatio = (typeof initSpan.taperRatio === 'number') ? initSpan.taperRatio : 1.0;
+    let sweepAngle = (typeof initSpan.sweepAngle === 'number') ? initSpan.sweepAngle : 0.0;
     let dihedralAngle = (typeof initSpan.dihedralAngle === 'number') ? initSpan.dihedralAngle : 0.0;
     let nacaCode = initParams.naca || '2412';
+    let appliedNacaCode = nacaCode;
+    // name of the imported profile while it is shown (a typed code replaces it)
+    let importedName = initParams.imported ? initParams.imported.name : null;
 
     let frameCounter = 0;
 
@@ -386,11 +455,11 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
     }
 
     // NACA Input
-    // make this input accept 4 or 5 digits (user will type 4-digit normally,
-    // but we allow 5-digit entries for cinematic override)
-    const nacaInput = createTextInput('NACA Airfoil (4 or 5 digits)', nacaCode, 5);
-    // only allow digits while typing
-    nacaInput.input.addEventListener('input', (e) => { e.target.value = e.target.value.replace(/[^0-9]/g, '').slice(0, 5); });
+    // accepts 4/5-digit codes and 6-series designations (e.g. 63-215, 64A010)
+    const nacaInput = createTextInput('NACA Airfoil (4/5 digits, MPTT-IT or 6-series)', nacaCode, 16);
+    // drop characters that cannot appear in a NACA designation while typing
+    nacaInput.input.addEventListener('input', (e) => { e.target.value = sanitizeNacaCode(e.target.value).slice(0, 16); });
+    if (importedName) nacaInput.input.style.opacity = '0.5';
     controlPanel.appendChild(nacaInput.container);
 
     // Cranked Wing Slider
@@ -398,17 +467,54 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
     controlPanel.appendChild(crankedSlider.container);
 
     // Taper Ratio Slider
-    const taperSlider = createSlider('Taper Ratio', 0.1, 1, 0.01, thicknessFactor);
+    const taperSlider = createSlider('Taper Ratio', 0.1, 1, 0.01, taperRatio);
     controlPanel.appendChild(taperSlider.container);
 
-    // Cranked Amount Slider
-    const shiftSlider = createSlider('Cranked Amount', 0, 2, 0.01, shiftAmount);
-    controlPanel.appendChild(shiftSlider.container);
+    // Sweep Angle Slider (outer panel, at the sweep reference line chosen in normal mode)
+    const sweepSlider = createSlider(`Sweep Angle (${{ le: 'LE', quarter: 'c/4', te: 'TE' }[initSpan.sweepReference || 'le']})`, -30, 60, 0.5, sweepAngle * 180 / Math.PI, '°');
+    controlPanel.appendChild(sweepSlider.container);
 
     // Dihedral Angle Slider
     const dihedralSlider = createSlider('Dihedral Angle', -45, 65, 1, dihedralAngle * 180 / Math.PI, '°');
     controlPanel.appendChild(dihedralSlider.container);
 
+    // a planform table from normal mode overrides break, taper, sweep and dihedral; grey them out as there
+    if (parsePlanform(initSpan.planform).length) {
+        [crankedSlider, taperSlider, sweepSlider, dihedralSlider].forEach(({ container, slider }) => {
+            slider.disabled = true;
+            slider.style.cursor = 'not-allowed';
+            container.style.opacity = '0.4';
+            container.title = 'Set by the planform table (normal mode)';
+        });
+    }
+
+    // Washout Slider (tip incidence relative to the chord line, nose down negative)
+    const washoutSlider = createSlider('Washout (tip incidence)', -10, 5, 0.5, (typeof initSpan.tipIncidence === 'number') ? initSpan.tipIncidence : 0, '°');
+    controlPanel.appendChild(washoutSlider.container);
+
+    // Control surface inputs: roll moves the ailerons (opposite on the right wing),
+    // pitch the flaps, elevons take both
+    let controlInputs = { roll: 0, pitch: 0 };
+    const rollSlider = createSlider('Roll (ailerons)', -25, 25, 0.5, 0, '°');
+    controlPanel.appendChild(rollSlider.container);
+    const pitchSlider = createSlider('Pitch (flaps)', -25, 25, 0.5, 0, '°');
+    controlPanel.appendChild(pitchSlider.container);
+
+    // animated deflections: a slow roll oscillation with a pitch pulse on top
+    let animateControls = false;
+    const controlsToggleContainer = document.createElement('div');
+    controlsToggleContainer.style.marginBottom = '12px';
+    const controlsToggleLabel = document.createElement('label');
+    controlsToggleLabel.style.color = '#00ff00';
+    controlsToggleLabel.style.cursor = 'pointer';
+    controlsToggleLabel.innerText = ' Animate control surfaces';
+    const controlsCheckbox = document.createElement('input');
+    controlsCheckbox.type = 'checkbox';
+    controlsCheckbox.style.marginRight = '8px';
+    controlsToggleContainer.appendChild(controlsCheckbox);
+    controlsToggleContainer.appendChild(controlsToggleLabel);
+    controlPanel.appendChild(controlsToggleContainer);
+
     document.body.appendChild(controlPanel);
 
     // toggle to remove/restore global axes/labels/picks from the scene
@@ -450,36 +556,41 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
     // NACA değişimi için rebuild fonksiyonu
 
     function rebuildWithNewNACA(newNaca) {
-        const raw = String(newNaca).replace(/\D/g, '');
-        let coordsFunc = naca4Coordinates;
-        let nacaStr = '2412';
-        if (raw.length === 5) {
-            nacaStr = raw;
-            coordsFunc = naca5Coordinates;
-        } else if (raw.length === 4) {
-            nacaStr = raw.padStart(4, '0');
-            coordsFunc = naca4Coordinates;
-        } else {
-            // fallback keep previous
-            nacaStr = controller ? (controller.naca || '2412') : '2412';
+        // the registry picks the family (6-series, 5-digit, 4-digit, ...); unrecognised input keeps the previous code
+        const nacaStr = normalizeAirfoilCode(newNaca) || appliedNacaCode;
+
+        // invalid designations (e.g. 5-digit P=0 or reflex P=1) keep the current airfoil
+        if (!isValidAirfoilCode(nacaStr)) {
+            console.warn(`Ignoring invalid NACA code: ${nacaStr}`);
+            nacaCode = appliedNacaCode;
+            nacaInput.input.value = appliedNacaCode;
+            return;
         }
 
         // Sol kanat için yeni controller (panel eklenmesin)
-        controller = addSpanMorphUI({ naca: nacaStr, chord: initParams.chord, points: initParams.points, depth: initParams.depth, scale: initParams.scale }, foil, coordsFunc, { appendPanel: false });
+        // a typed NACA code replaces any parametric or imported profile from normal mode
+        controller = addSpanMorphUI(Object.assign({}, initParams, { naca: nacaStr, profileType: 'naca', imported: null }), foil, Object.assign({ appendPanel: false }, blendSpan));
 
         // Sağ kanat için yeni controller (panel eklenmesin)
-        rightController = addSpanMorphUI({ naca: nacaStr, chord: initParams.chord, points: initParams.points, depth: initParams.depth, scale: initParams.scale }, rightWing, coordsFunc, { appendPanel: false });
+        rightController = addSpanMorphUI(Object.assign({}, initParams, { naca: nacaStr, profileType: 'naca', imported: null }), rightWing, Object.assign({ appendPanel: false, mirrored: true }, blendSpan));
+        importedName = null;
+        nacaInput.input.style.opacity = '';
 
         // Mevcut morph parametrelerini uygula
         // update local naca code and reapply morphs
         nacaCode = nacaStr;
-        controller.applySpanMorph(startPercent, thicknessFactor, 40, shiftAmount, dihedralAngle);
-        rightController.applySpanMorph(startPercent, thicknessFactor, 40, shiftAmount, dihedralAngle);
+        appliedNacaCode = nacaStr;
+        controller.applySpanMorph(startPercent, taperRatio, 40, sweepAngle, dihedralAngle);
+        rightController.applySpanMorph(startPercent, taperRatio, 40, sweepAngle, dihedralAngle);
+        controller.setControlInputs(controlInputs);
+        rightController.setControlInputs(controlInputs);
 
         // update URL so the new NACA is visible to normal mode when toggling back
         try {
             const ps = new URLSearchParams(window.location.search);
             ps.set('naca', nacaStr);
+            ps.set('type', 'naca');
+            ps.delete('dat');
             // preserve mode (cinematic)
             ps.set('mode', 'cinematic');
             history.replaceState(null, '', '?' + ps.toString());
@@ -506,8 +617,8 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
     crankedSlider.slider.addEventListener('input', (e) => {
         startPercent = parseFloat(e.target.value);
         crankedSlider.valueDisplay.textContent = startPercent.toFixed(2);
-        controller.applySpanMorph(startPercent, thicknessFactor, 40, shiftAmount, dihedralAngle);
-        rightController.applySpanMorph(startPercent, thicknessFactor, 40, shiftAmount, dihedralAngle);
+        controller.applySpanMorph(startPercent, taperRatio, 40, sweepAngle, dihedralAngle);
+        rightController.applySpanMorph(startPercent, taperRatio, 40, sweepAngle, dihedralAngle);
         // persist span morph values to URL so normal mode picks them up
         try {
             const ps = new URLSearchParams(window.location.search);
@@ -518,26 +629,28 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
     });
 
     taperSlider.slider.addEventListener('input', (e) => {
-        thicknessFactor = parseFloat(e.target.value);
-        taperSlider.valueDisplay.textContent = thicknessFactor.toFixed(2);
-        controller.applySpanMorph(startPercent, thicknessFactor, 40, shiftAmount, dihedralAngle);
-        rightController.applySpanMorph(startPercent, thicknessFactor, 40, shiftAmount, dihedralAngle);
+        taperRatio = parseFloat(e.target.value);
+        taperSlider.valueDisplay.textContent = taperRatio.toFixed(2);
+        controller.applySpanMorph(startPercent, taperRatio, 40, sweepAngle, dihedralAngle);
+        rightController.applySpanMorph(startPercent, taperRatio, 40, sweepAngle, dihedralAngle);
         try {
             const ps = new URLSearchParams(window.location.search);
-            ps.set('factor', String(thicknessFactor));
+            ps.set('factor', String(taperRatio));
             ps.set('mode', 'cinematic');
             history.replaceState(null, '', '?' + ps.toString());
         } catch (e) { }
     });
 
-    shiftSlider.slider.addEventListener('input', (e) => {
-        shiftAmount = parseFloat(e.target.value);
-        shiftSlider.valueDisplay.textContent = shiftAmount.toFixed(2);
-        controller.applySpanMorph(startPercent, thicknessFactor, 40, shiftAmount, dihedralAngle);
-        rightController.applySpanMorph(startPercent, thicknessFactor, 40, shiftAmount, dihedralAngle);
+    sweepSlider.slider.addEventListener('input', (e) => {
+        const degrees = parseFloat(e.target.value);
+        sweepAngle = degrees * Math.PI / 180;
+        sweepSlider.valueDisplay.textContent = degrees.toFixed(1) + '°';
+        controller.applySpanMorph(startPercent, taperRatio, 40, sweepAngle, dihedralAngle);
+        rightController.applySpanMorph(startPercent, taperRatio, 40, sweepAngle, dihedralAngle);
         try {
             const ps = new URLSearchParams(window.location.search);
-            ps.set('shift', String(shiftAmount));
+            ps.set('sweep', String(degrees));
+            ps.delete('shift');
             ps.set('mode', 'cinematic');
             history.replaceState(null, '', '?' + ps.toString());
         } catch (e) { }
@@ -547,8 +660,8 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
         const degrees = parseFloat(e.target.value);
         dihedralAngle = degrees * Math.PI / 180;
         dihedralSlider.valueDisplay.textContent = degrees.toFixed(0) + '°';
-        controller.applySpanMorph(startPercent, thicknessFactor, 40, shiftAmount, dihedralAngle);
-        rightController.applySpanMorph(startPercent, thicknessFactor, 40, shiftAmount, dihedralAngle);
+        controller.applySpanMorph(startPercent, taperRatio, 40, sweepAngle, dihedralAngle);
+        rightController.applySpanMorph(startPercent, taperRatio, 40, sweepAngle, dihedralAngle);
         try {
             const ps = new URLSearchParams(window.location.search);
             ps.set('dihedral', String(degrees));
@@ -557,6 +670,38 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
         } catch (e) { }
     });
 
+    function setControlInputs(values) {
+        controlInputs = Object.assign({}, controlInputs, values);
+        controller.setControlInputs(controlInputs);
+        rightController.setControlInputs(controlInputs);
+        rollSlider.slider.value = controlInputs.roll;
+        rollSlider.valueDisplay.textContent = controlInputs.roll.toFixed(1) + '°';
+        pitchSlider.slider.value = controlInputs.pitch;
+        pitchSlider.valueDisplay.textContent = controlInputs.pitch.toFixed(1) + '°';
+    }
+    rollSlider.slider.addEventListener('input', (e) => setControlInputs({ roll: parseFloat(e.target.value) }));
+    pitchSlider.slider.addEventListener('input', (e) => setControlInputs({ pitch: parseFloat(e.target.value) }));
+    controlsCheckbox.addEventListener('change', (e) => {
+        animateControls = Boolean(e.target.checked);
+        if (!animateControls) setControlInputs({ roll: 0, pitch: 0 });
+    });
+
+    washoutSlider.slider.addEventListener('input', (e) => {
+        const degrees = parseFloat(e.target.value);
+        blendSpan.tipIncidence = degrees;
+        washoutSlider.valueDisplay.textContent = degrees.toFixed(1) + '°';
+        controller.setTwist({ tipIncidence: degrees });
+        rightController.setTwist({ tipIncidence: degrees });
+        controller.applySpanMorph(startPercent, taperRatio, 40, sweepAngle, dihedralAngle);
+        rightController.applySpanMorph(startPercent, taperRatio, 40, sweepAngle, dihedralAngle);
+        try {
+            const ps = new URLSearchParams(window.location.search);
+            ps.set('twtip', String(degrees));
+            ps.set('mode', 'cinematic');
+            history.replaceState(null, '', '?' + ps.toString());
+        } catch (e) { }
+    });
+
     // --- HUD Overlay ---
     const infoDiv = document.createElement('div');
     infoDiv.style.position = 'absolute';
@@ -599,9 +744,27 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
         const hudHue = (frameCounter / totalFrames) * 120; // 0 (kırmızı) → 120 (yeşil)
         const hudColor = `hsl(${hudHue + 120}, 100%, 60%)`; // Lime'dan cyan'a
 
+        // sweep of the outer panel at every reference line
+        const sweeps = panelSweeps(controller.getPlanform(), initParams.depth / initParams.chord);
+        const outer = sweeps[sweeps.length - 1];
+        const sweepText = outer ? `LE ${outer.le.toFixed(1)}° · c/4 ${outer.quarter.toFixed(1)}° · TE ${outer.te.toFixed(1)}°` : '-';
+
+        // area, span, aspect ratio, MAC and volume of the whole wing, in the unit
+        // of the chord (which has none of its own)
+        const m = controller.getMetrics();
+        const metricsText = m
+            ? `S ${m.area.toFixed(2)} · b ${m.span.toFixed(1)} · AR ${m.aspectRatio.toFixed(1)}<br>MAC ${m.mac.toFixed(2)} @ ${m.macY.toFixed(2)} · λ ${m.taperRatio.toFixed(2)} · V ${m.volume.toFixed(3)}`
+            : '-';
+
         infoDiv.innerHTML = `
         <div style="margin-bottom:10px;"><strong>🎥 Cinematic Mode</strong></div>
-        <div style="margin-bottom:8px;"><strong>NACA:</strong> <span style="color:#0ff;">${nacaCode}</span></div>
+        <div style="margin-bottom:8px;"><strong>${importedName ? 'Airfoil' : 'NACA'}:</strong> <span style="color:#0ff;">${importedName ? importedName.replace(/[<&>]/g, '') : nacaCode}</span></div>
+        <div style="font-size:11px;opacity:0.8;margin-bottom:8px;">
+            ↗ Sweep: ${sweepText}
+        </div>
+        <div style="font-size:11px;opacity:0.8;margin-bottom:8px;">
+            📐 ${metricsText}
+        </div>
         <div style="font-size:11px;opacity:0.8;margin-bottom:4px;">
             📹 Distance: ${cameraDistance}m
         </div>
@@ -629,6 +792,12 @@ export function animateFoil(scene, foil, renderer, camera, controls, duration =
         // Update cinematic camera movement
         updateCinematicCamera(progress);
 
+        // control surfaces only rotate their meshes, cheap enough for every frame
+        if (animateControls) {
+            const t = frameCounter / fps;
+            setControlInputs({ roll: 20 * Math.sin(t * Math.PI * 0.5), pitch: 10 * Math.max(0, Math.sin(t * Math.PI * 0.2)) });
+        }
+
         // Parametreler UI'dan kontrol ediliyor (slider event listeners ile)
         // Her frame'de sadece render yapıyoruz
 
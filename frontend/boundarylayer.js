@@ -0,0 +1,231 @@
+import { toPanelNodes, solvePanelNodes } from './panelmethod.js';
+
+// Viscous analysis: an integral boundary layer marched on the edge velocity
+// of the Hess-Smith solution, coupled back through a displacement body.
+//   laminar:    Thwaites' method (Cebeci-Bradshaw correlations)
+//   transition: Michel's criterion, or laminar separation (λ < -0.09)
+//   turbulent:  Head's entrainment method with Ludwieg-Tillmann skin friction
+//   drag:       Squire-Young at the trailing edge of each surface
+// Everything is nondimensional: unit chord, unit freestream, ν = 1 / Re.
+
+const LAMINAR_SEPARATION_LAMBDA = -0.09;
+const TURBULENT_SEPARATION_H = 2.4;
+const MAX_SHAPE_FACTOR = 2.5;
+const TE_FREEZE_X = 0.95;
+
+function thwaitesCorrelations(lambda) {
+    const l = Math.max(-0.1, Math.min(0.1, lambda));
+    if (l >= 0) return { H: 2.61 - 3.75 * l + 5.24 * l * l, shear: 0.22 + 1.57 * l - 1.8 * l * l };
+    return { H: 2.088 + 0.0731 / (l + 0.14), shear: 0.22 + 1.402 * l + 0.018 * l / (l + 0.107) };
+}
+
+// Head's shape-factor relations between H and the entrainment shape factor H1.
+function headH1(H) {
+    return H <= 1.6 ? 3.3 + 0.8234 * Math.pow(H - 1.1, -1.287) : 3.3 + 1.5501 * Math.pow(H - 0.6778, -3.064);
+}
+
+function headH(H1) {
+    if (H1 <= 3.32) return 3.0;
+    return H1 >= 5.3 ? 1.1 + Math.pow((H1 - 3.3) / 0.8234, -1 / 1.287) : 0.6778 + Math.pow((H1 - 3.3) / 1.5501, -1 / 3.064);
+}
+
+function entrainment(H1) {
+    return 0.0306 * Math.pow(Math.max(H1 - 3, 1e-6), -0.6169);
+}
+
+function ludwiegTillmann(H, reTheta) {
+    return 0.246 * Math.pow(10, -0.678 * H) * Math.pow(Math.max(reTheta, 1), -0.268);
+}
+
+// March one surface from the stagnation point. s: arc length, ue: edge speed,
+// x: chordwise station of each point (for reporting transition/separation).
+function marchSurface(s, ue, x, reynolds) {
+    const nu = 1 / reynolds;
+    const n = s.length;
+    const theta = new Array(n).fill(0);
+    const H = new Array(n).fill(0);
+    const cf = new Array(n).fill(0);
+    const u = ue.map(v => Math.max(v, 1e-6));
+    const dudx = u.map((v, i) => {
+        const a = Math.max(0, i - 1);
+        const b = Math.min(n - 1, i + 1);
+        return b === a ? 0 : (u[b] - u[a]) / (s[b] - s[a]);
+    });
+
+    let transition = -1;
+    let separation = null;
+    // laminar: Thwaites, integral of ue^5 starting from zero speed at stagnation
+    let integral = 0.5 * Math.pow(u[0], 5) * s[0];
+    for (let i = 0; i < n; i++) {
+        if (i > 0) integral += 0.5 * (Math.pow(u[i], 5) + Math.pow(u[i - 1], 5)) * (s[i] - s[i - 1]);
+        const theta2 = 0.45 * nu * integral / Math.pow(u[i], 6);
+        theta[i] = Math.sqrt(theta2);
+        const lambda = theta2 * dudx[i] / nu;
+        const corr = thwaitesCorrelations(lambda);
+        H[i] = corr.H;
+        cf[i] = 2 * corr.shear * nu / (u[i] * theta[i]);
+        const reTheta = u[i] * theta[i] * reynolds;
+        const reX = Math.max(u[i] * s[i] * reynolds, 1);
+        const michel = 1.174 * (1 + 22400 / reX) * Math.pow(reX, 0.46);
+        if (i > 0 && (reTheta >= michel || lambda < LAMINAR_SEPARATION_LAMBDA)) {
+            transition = i;
+            break;
+        }
+    }
+
+    if (transition >= 0) {
+        // turbulent: Head's method, Heun integration of (θ, H1) between stations
+        let th = theta[transition];
+        let h1 = headH1(1.4);
+        H[transition] = 1.4;
+        cf[transition] = ludwiegTillmann(1.4, u[transition] * th * reynolds);
+        const derivatives = (i, thv, h1v) => {
+            const Hv = Math.min(headH(h1v), MAX_SHAPE_FACTOR);
+            const c = ludwiegTillmann(Hv, u[i] * thv * reynolds);
+            const dth = c / 2 - (Hv + 2) * thv / u[i] * dudx[i];
+            const dh1 = (entrainment(h1v) - h1v * (thv * dudx[i] / u[i] + dth)) / thv;
+            return { dth, dh1 };
+        };
+        for (let i = transition + 1; i < n; i++) {
+            const ds = s[i] - s[i - 1];
+            const k1 = derivatives(i - 1, th, h1);
+            const thP = Math.max(th + ds * k1.dth, 1e-9);
+            const h1P = Math.max(h1 + ds * k1.dh1, 3.32);
+            const k2 = derivatives(i, thP, h1P);
+            th = Math.max(th + 0.5 * ds * (k1.dth + k2.dth), 1e-9);
+            h1 = Math.max(h1 + 0.5 * ds * (k1.dh1 + k2.dh1), 3.32);
+            theta[i] = th;
+            H[i] = Math.min(headH(h1), MAX_SHAPE_FACTOR);
+            cf[i] = ludwiegTillmann(H[i], u[i] * th * reynolds);
+            if (separation === null && H[i] > TURBULENT_SEPARATION_H) separation = x[i];
+        }
+    }
+
+    const last = n - 1;
+    // Squire-Young: momentum thickness far downstream from trailing-edge values
+    const hTE = Math.min(H[last], MAX_SHAPE_FACTOR);
+    const cd = 2 * theta[last] * Math.pow(u[last], (hTE + 5) / 2);
+    return {
+        theta,
+        H,
+        cf,
+        deltaStar: theta.map((t, i) => t * H[i]),
+        cd,
+        xTransition: transition >= 0 ? x[transition] : 1,
+        xSeparation: separation
+    };
+}
+
+// Split the panel solution at the stagnation point and march both surfaces.
+function solveBoundaryLayer(inviscid, reynolds) {
+    const cp = inviscid.cp;
+    const N = cp.length;
+    let k = 1;
+    while (k < N && !(cp[k - 1].vt < 0 && cp[k].vt >= 0)) k++;
+    if (k >= N) throw new Error('Could not locate the stagnation point');
+    const f = -cp[k - 1].vt / (cp[k].vt - cp[k - 1].vt);
+    const gap = Math.hypot(cp[k].x - cp[k - 1].x, cp[k].y - cp[k - 1].y);
+
+    function surface(indices, s0, sign) {
+        const s = [s0];
+        for (let m = 1; m < indices.length; m++) {
+            const a = cp[indices[m - 1]], b = cp[indices[m]];
+            s.push(s[m - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+        }
+        return marchSurface(s, indices.map(i => sign * cp[i].vt), indices.map(i => cp[i].x), reynolds);
+    }
+
+    const upperIdx = [];
+    for (let i = k; i < N; i++) upperIdx.push(i);
+    const lowerIdx = [];
+    for (let i = k - 1; i >= 0; i--) lowerIdx.push(i);
+
+    const upper = surface(upperIdx, (1 - f) * gap, 1);
+    const lower = surface(lowerIdx, f * gap, -1);
+
+    // displacement thickness per panel, in panel order
+    const deltaStar = new Array(N).fill(0);
+    upperIdx.forEach((i, m) => { deltaStar[i] = upper.deltaStar[m]; });
+    lowerIdx.forEach((i, m) => { deltaStar[i] = lower.deltaStar[m]; });
+
+    return { upper, lower, deltaStar, cd: upper.cd + lower.cd };
+}
+
+// Offset each node along its outward normal by the displacement thickness.
+// Node values are smoothed and held constant over the last few percent of chord
+// so the dense trailing-edge panels are moved in parallel instead of crumpling.
+function displacementBody(nodes, panelDeltaStar) {
+    const N = nodes.length - 1;
+    let d = nodes.map((p, k) => 0.5 * (panelDeltaStar[Math.max(0, k - 1)] + panelDeltaStar[Math.min(N - 1, k)]));
+    for (let pass = 0; pass < 3; pass++) {
+        d = d.map((v, k) => (k === 0 || k === N ? v : 0.25 * d[k - 1] + 0.5 * v + 0.25 * d[k + 1]));
+    }
+    const lastLower = nodes.findIndex(p => p[0] <= TE_FREEZE_X);
+    let firstUpper = N;
+    while (firstUpper > 0 && nodes[firstUpper][0] > TE_FREEZE_X) firstUpper--;
+    for (let k = 0; k < lastLower; k++) d[k] = d[lastLower];
+    for (let k = firstUpper + 1; k <= N; k++) d[k] = d[firstUpper];
+    return nodes.map((p, k) => {
+        const p0 = nodes[Math.max(0, k - 1)];
+        const p1 = nodes[Math.min(N, k + 1)];
+        const tx = p1[0] - p0[0], ty = p1[1] - p0[1];
+        const len = Math.hypot(tx, ty) || 1;
+        // outward normal for the clockwise panel ordering
+        return [p[0] - d[k] * ty / len, p[1] + d[k] * tx / len];
+    });
+}
+
+export function analyzeViscous(points, alphaDeg = 0, options = {}) {
+    const { reynolds = 1e6, chord = 1, iterations = 3, relaxation = 0.5 } = options;
+    const nodes = toPanelNodes(points, chord).map(([x, y]) => [x / chord, y / chord]);
+    let deltaStar = new Array(nodes.length - 1).fill(0);
+    let inviscid = null;
+    let bl = null;
+    for (let it = 0; it <= iterations; it++) {
+        inviscid = solvePanelNodes(it === 0 ? nodes : displacementBody(nodes, deltaStar), alphaDeg, 1);
+        bl = solveBoundaryLayer(inviscid, reynolds);
+        // under-relaxed displacement update, capped to keep separated cases stable
+        deltaStar = deltaStar.map((d, i) => d + relaxation * (Math.min(bl.deltaStar[i], 0.05) - d));
+    }
+    return {
+        alpha: alphaDeg,
+        cl: inviscid.cl,
+        cd: bl.cd,
+        cm: inviscid.cm,
+        xtrUpper: bl.upper.xTransition,
+        xtrLower: bl.lower.xTransition,
+        xsepUpper: bl.upper.xSeparation,
+        xsepLower: bl.lower.xSeparation
+    };
+}
+
+// Each polar point is a full panel + boundary-layer solve, so the step is kept
+// to at least MIN_POLAR_STEP and widened when the range needs more than
+// MAX_POLAR_POINTS of them.
+export const MIN_POLAR_STEP = 0.1;
+export const MAX_POLAR_POINTS = 161;
+
+// Alpha sweep; rows whose analysis fails are reported with NaN coefficients.
+export function computePolar(points, options = {}) {
+    const { alphaStart = -4, alphaEnd = 12, alphaStep = 1 } = options;
+    const range = Math.max(0, alphaEnd - alphaStart);
+    const step = Math.max(MIN_POLAR_STEP, Math.abs(alphaStep) || 1, range / (MAX_POLAR_POINTS - 1));
+    const rows = [];
+    for (let a = alphaStart; a <= alphaEnd + 1e-9; a += step) {
+        const alpha = Math.round(a * 1000) / 1000;
+        try {
+            rows.push(analyzeViscous(points, alpha, options));
+        } catch (e) {
+            rows.push({ alpha, cl: NaN, cd: NaN, cm: NaN, xtrUpper: NaN, xtrLower: NaN, xsepUpper: null, xsepLower: null });
+        }
+    }
+    return rows;
+}
+
+export function polarToCsv(rows, reynolds) {
+    const lines = [`# Re = ${reynolds}`, 'alpha,cl,cd,cm,cl_cd,xtr_upper,xtr_lower'];
+    for (const r of rows) {
+        lines.push([r.alpha, r.cl, r.cd, r.cm, r.cl / r.cd, r.xtrUpper, r.xtrLower].map(v => (Number.isFinite(v) ? Number(v.toFixed(6)) : '')).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,118 @@
+import { interpolateSurface } from './airfoilprops.js';
+
+// Control surfaces cut out of the main wing element as
+//   { type, from, to, hinge, deflection }
+// type        'aileron', 'flap' or 'elevon'
+// from, to    spanwise range (eta, 0 = root, 1 = tip)
+// hinge       hinge line as a chord fraction of the main element
+// deflection  static deflection (°, trailing edge down positive)
+// On top of the static value the roll and pitch inputs move the surfaces:
+// ailerons take the roll input, flaps the pitch input and elevons both. The
+// mirrored wing gets the roll input reversed, so ailerons deflect opposite
+// and flaps the same way.
+export const CONTROL_SURFACE_TYPES = ['aileron', 'flap', 'elevon'];
+export const CONTROL_SURFACE_DEFAULT = { type: 'aileron', from: 0.6, to: 0.95, hinge: 0.75, deflection: 0 };
+export const MAX_DEFLECTION = 40;
+
+const FIELDS = ['type', 'from', 'to', 'hinge', 'deflection'];
+
+// One surface from field values; throws on invalid input.
+export function makeControlSurface(values) {
+    const surface = Object.assign({}, CONTROL_SURFACE_DEFAULT);
+    FIELDS.slice(1).forEach((key) => {
+        const raw = values[key];
+        if (raw === undefined || raw === null || String(raw).trim() === '') return;
+        const v = typeof raw === 'number' ? raw : parseFloat(raw);
+        if (!Number.isFinite(v)) throw new Error(`invalid ${key}: ${String(raw).trim()}`);
+        surface[key] = v;
+    });
+    const type = String(values.type || surface.type).trim();
+    if (!CONTROL_SURFACE_TYPES.includes(type)) throw new Error(`unknown type: ${type}`);
+    surface.type = type;
+    if (!(surface.from >= 0 && surface.to <= 1 && surface.to - surface.from > 1e-3)) throw new Error(`invalid range: ${surface.from}-${surface.to}`);
+    if (!(surface.hinge > 0.05 && surface.hinge < 0.98)) throw new Error(`hinge outside 0.05-0.98: ${surface.hinge}`);
+    surface.deflection = Math.max(-MAX_DEFLECTION, Math.min(MAX_DEFLECTION, surface.deflection));
+    return surface;
+}
+
+// URL form: "type,from,to,hinge,deflection; ..." Invalid entries, and surfaces
+// overlapping an earlier one, are skipped with a warning.
+export function parseControlSurfaces(text) {
+    const out = [];
+    String(text || '').split(';').forEach((entry) => {
+        if (!entry.trim()) return;
+        const values = {};
+        entry.split(',').forEach((field, i) => { if (i < FIELDS.length) values[FIELDS[i]] = field.trim(); });
+        try {
+            out.push(makeControlSurface(values));
+        } catch (e) {
+            console.warn(`Ignoring control surface "${entry.trim()}": ${e.message}`);
+        }
+    });
+    return withoutOverlaps(out);
+}
+
+export function controlSurfacesToString(surfaces) {
+    return surfaces.map(s => [s.type, ...FIELDS.slice(1).map(key => String(Math.round(s[key] * 1e3) / 1e3))].join(',')).join('; ');
+}
+
+// surfaces sorted by position; one that overlaps an earlier (kept) surface is dropped
+export function withoutOverlaps(surfaces) {
+    const kept = [];
+    surfaces.forEach((s) => {
+        if (kept.some(k => s.from < k.to - 1e-9 && s.to > k.from + 1e-9)) {
+            console.warn(`Ignoring control surface at ${s.from}-${s.to}: overlaps another surface`);
+            return;
+        }
+        kept.push(s);
+    });
+    return kept.sort((a, b) => a.from - b.from);
+}
+
+// Deflection (°) of a surface for the roll/pitch inputs; `side` is 1 for the
+// built wing and -1 for its mirror image.
+export function surfaceDeflection(surface, inputs = {}, side = 1) {
+    const roll = (inputs.roll || 0) * side;
+    const pitch = inputs.pitch || 0;
+    const extra = { aileron: roll, flap: pitch, elevon: pitch + roll }[surface.type] || 0;
+    return Math.max(-MAX_DEFLECTION, Math.min(MAX_DEFLECTION, surface.deflection + extra));
+}
+
+// Split a closed section contour ([{ x, y }]) at the hinge chord fraction into
+// the fixed part and the moving part, both resampled on fixed chordwise stations
+// so every slice gets the same point count. Also returns the hinge point,
+// midway between the surfaces.
+export function hingeCut(contour, hinge, fixedCount = 40, movingCount = 12) {
+    // the two arcs between the leading edge (min x) and trailing edge (max x) of the closed contour
+    let te = 0, leIndex = 0;
+    contour.forEach((p, j) => {
+        if (p.x > contour[te].x) te = j;
+        if (p.x < contour[leIndex].x) leIndex = j;
+    });
+    const arc = (from, to) => {
+        const out = [];
+        for (let j = from; ; j = (j + 1) % contour.length) {
+            out.push([contour[j].x, contour[j].y]);
+            if (j === to) return out;
+        }
+    };
+    const byX = (a, b) => a[0] - b[0];
+    const first = arc(leIndex, te).sort(byX);
+    const second = arc(te, leIndex).sort(byX);
+    const le = contour[leIndex].x;
+    const xh = le + hinge * (contour[te].x - le);
+    // cosine-spaced stations between two chordwise positions
+    const stations = (x0, x1, n) => Array.from({ length: n }, (_, i) => x0 + (x1 - x0) * (1 - Math.cos(i / (n - 1) * Math.PI)) / 2);
+    const along = (surface, xs) => xs.map(x => ({ x, y: interpolateSurface(surface, x) }));
+
+    const fixedXs = stations(le, xh, fixedCount);
+    const movingXs = stations(xh, contour[te].x, movingCount);
+    // the leading-edge point is shared by both surfaces and kept once
+    const fixed = along(first, fixedXs).concat(along(second, fixedXs.slice(1).reverse()));
+    const moving = along(first, movingXs).concat(along(second, movingXs.slice().reverse()));
+    return {
+        fixed,
+        moving,
+        hingePoint: { x: xh, y: (interpolateSurface(first, xh) + interpolateSurface(second, xh)) / 2 }
+    };
+}
@@ -0,0 +1,116 @@
+// Small canvas editor for a curve y(x) on 0 <= x <= 1 through draggable control points.
+//   drag a point        move it (the end points only vertically)
+//   click empty space   add a point there
+//   double-click point  remove it (not the end points)
+// points     [{ x, y }] sorted by x, first at x = 0 and last at x = 1
+// options    { curve(points) -> (x -> y), yMax, width, height, onChange(points) }
+// Returns { element, getPoints, setPoints }.
+export function createCurveEditor(points, options = {}) {
+    const { curve, yMax = 1.5, width = 220, height = 110, onChange = null } = options;
+    const pad = 6;
+    const radius = 4;
+    let pts = points.map(p => ({ x: p.x, y: p.y }));
+    let dragging = -1;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width; canvas.height = height;
+    Object.assign(canvas.style, { width: `${width}px`, height: `${height}px`, background: '#181818', borderRadius: '4px', cursor: 'crosshair', touchAction: 'none' });
+    const ctx = canvas.getContext('2d');
+
+    const toPx = p => [pad + p.x * (width - 2 * pad), height - pad - p.y / yMax * (height - 2 * pad)];
+    const fromPx = (px, py) => ({
+        x: Math.max(0, Math.min(1, (px - pad) / (width - 2 * pad))),
+        y: Math.max(0.01, Math.min(yMax, (height - pad - py) / (height - 2 * pad) * yMax))
+    });
+    const eventPos = (ev) => {
+        const rect = canvas.getBoundingClientRect();
+        return [(ev.clientX - rect.left) * width / rect.width, (ev.clientY - rect.top) * height / rect.height];
+    };
+    const hit = (px, py) => pts.findIndex((p) => {
+        const [x, y] = toPx(p);
+        return Math.hypot(x - px, y - py) <= radius + 3;
+    });
+
+    function draw() {
+        ctx.clearRect(0, 0, width, height);
+        // reference line at y = 1
+        ctx.strokeStyle = 'rgba(255,255,255,0.2)';
+        ctx.beginPath();
+        const [x0, y1] = toPx({ x: 0, y: 1 });
+        ctx.moveTo(x0, y1);
+        ctx.lineTo(toPx({ x: 1, y: 1 })[0], y1);
+        ctx.stroke();
+
+        if (curve) {
+            const f = curve(pts);
+            ctx.strokeStyle = '#6cf';
+            ctx.beginPath();
+            for (let i = 0; i <= 64; i++) {
+                const [x, y] = toPx({ x: i / 64, y: f(i / 64) });
+                if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#fff';
+        pts.forEach((p) => {
+            const [x, y] = toPx(p);
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+
+    function changed() {
+        draw();
+        if (onChange) onChange(getPoints());
+    }
+
+    canvas.addEventListener('pointerdown', (ev) => {
+        const [px, py] = eventPos(ev);
+        dragging = hit(px, py);
+        if (dragging < 0) {
+            const p = fromPx(px, py);
+            if (p.x <= 0 || p.x >= 1) return;
+            dragging = pts.findIndex(q => q.x > p.x);
+            pts.splice(dragging, 0, p);
+            changed();
+        }
+        canvas.setPointerCapture(ev.pointerId);
+    });
+
+    canvas.addEventListener('pointermove', (ev) => {
+        if (dragging < 0) return;
+        const p = fromPx(...eventPos(ev));
+        const last = pts.length - 1;
+        // end points stay at the root/tip; the others stay between their neighbours
+        if (dragging === 0) p.x = 0;
+        else if (dragging === last) p.x = 1;
+        else p.x = Math.max(pts[dragging - 1].x + 1e-3, Math.min(pts[dragging + 1].x - 1e-3, p.x));
+        pts[dragging] = p;
+        changed();
+    });
+
+    const release = () => { dragging = -1; };
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+
+    canvas.addEventListener('dblclick', (ev) => {
+        const i = hit(...eventPos(ev));
+        if (i <= 0 || i >= pts.length - 1) return;
+        pts.splice(i, 1);
+        changed();
+    });
+
+    function getPoints() {
+        return pts.map(p => ({ x: p.x, y: p.y }));
+    }
+
+    function setPoints(points) {
+        pts = points.map(p => ({ x: p.x, y: p.y }));
+        draw();
+    }
+
+    draw();
+    return { element: canvas, getPoints, setPoints };
+}
@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+
+// High-lift devices on the 2D profile. The contour (generator layout, chord
+// centered on x = 0) is cut with straight chordwise cuts into a slat, the
+// main element and a flap; each device is rotated about the camber-line
+// point of its cut. Angles are in degrees (flap trailing edge down and slat
+// nose down positive); hinge, gap and slat chord are percent chord.
+export const HIGH_LIFT_DEFAULTS = {
+    flapHinge: 0,       // flap hinge position (% chord), 0 = no flap
+    flapDeflection: 0,  // flap deflection (°)
+    flapGap: 0,         // flap slot: flap moved aft along its chord (% chord)
+    slatChord: 0,       // slat chord (% chord), 0 = no slat
+    slatDeflection: 0   // slat deflection (°)
+};
+
+// point where segment a-b crosses x = xc
+function crossing(a, b, xc) {
+    const t = (xc - a.x) / (b.x - a.x || 1e-12);
+    return new THREE.Vector2(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t);
+}
+
+// Split a closed loop (running from its front cut/LE along the upper side
+// and back along the lower side) at x = xc into the part ahead of and behind the cut.
+function cutAt(points, xc) {
+    const n = points.length;
+    let iu = -1;
+    let il = -1;
+    for (let i = 0; i < n - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        if (iu < 0 && a.x < xc && b.x >= xc) iu = i;
+        if (iu >= 0 && a.x >= xc && b.x < xc) il = i;
+    }
+    if (iu < 0 || il < 0) return null;
+    const cu = crossing(points[iu], points[iu + 1], xc);
+    const cl = crossing(points[il], points[il + 1], xc);
+    const fore = [...points.slice(0, iu + 1), cu, cl, ...points.slice(il + 1)];
+    const aft = [cu, ...points.slice(iu + 1, il + 1), cl];
+    return { fore, aft, hinge: new THREE.Vector2(xc, (cu.y + cl.y) / 2) };
+}
+
+function rotateAbout(points, pivot, angle) {
+    return points.map(p => p.clone().rotateAround(pivot, angle));
+}
+
+// slat chord and flap hinge (% chord) as used; 0 means no device
+function deviceCuts(options) {
+    const o = Object.assign({}, HIGH_LIFT_DEFAULTS, options);
+    const slatChord = Math.max(0, Math.min(50, parseFloat(o.slatChord) || 0));
+    let flapHinge = Math.max(0, Math.min(99, parseFloat(o.flapHinge) || 0));
+    if (flapHinge > 0 && flapHinge <= slatChord) flapHinge = 0;
+    return { o, slatChord, flapHinge };
+}
+
+// Number of elements highLiftElements() returns when every cut succeeds; a
+// profile the cuts miss (too short, or not crossing the cut) gives fewer.
+export function highLiftElementCount(options = {}) {
+    const { slatChord, flapHinge } = deviceCuts(options);
+    return 1 + (slatChord > 0 ? 1 : 0) + (flapHinge > 0 ? 1 : 0);
+}
+
+// Returns the profile as a list of closed element contours: [slat?, main, flap?].
+// Without active devices this is the profile alone (as one closed loop).
+export function highLiftElements(points, chord = 1, options = {}) {
+    const { o, slatChord, flapHinge } = deviceCuts(options);
+
+    // drop the duplicated LE point so the loop closes implicitly
+    let main = points.slice();
+    if (main.length > 1 && main[0].distanceTo(main[main.length - 1]) < 1e-12) main = main.slice(0, -1);
+    const x0 = -chord / 2;
+    const elements = [];
+
+    if (slatChord > 0) {
+        const cut = cutAt(main, x0 + slatChord / 100 * chord);
+        if (cut) {
+            const delta = (parseFloat(o.slatDeflection) || 0) * Math.PI / 180;
+            elements.push(rotateAbout(cut.fore, cut.hinge, delta));
+            // the main element now starts at its front cut, upper side first
+            main = cut.aft;
+        }
+    }
+    let flap = null;
+    if (flapHinge > 0) {
+        const cut = cutAt(main, x0 + flapHinge / 100 * chord);
+        if (cut) {
+            const delta = (parseFloat(o.flapDeflection) || 0) * Math.PI / 180;
+            const gap = Math.max(0, parseFloat(o.flapGap) || 0) / 100 * chord;
+            const slide = new THREE.Vector2(Math.cos(delta), -Math.sin(delta)).multiplyScalar(gap);
+            flap = rotateAbout(cut.aft, cut.hinge, -delta).map(p => p.add(slide));
+            main = cut.fore;
+        }
+    }
+    elements.push(main);
+    if (flap) elements.push(flap);
+    return elements;
+}
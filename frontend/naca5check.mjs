@@ -0,0 +1,125 @@
+// Regression check of the NACA 5-digit generator (nacaprofile.js).
+//   node frontend/naca5check.mjs
+// nacaprofile.js imports 'three', so it has to resolve from here (the browser
+// gets it from the import map in index.html), e.g. `npm install --no-save three`.
+//
+// The generated surfaces are compared with tabulated ordinates. 23012 is the
+// published table (Abbott & von Doenhoff, Theory of Wing Sections, appendix
+// II); 23112, 24012 and 25012 were worked out the way those tables were, from
+// the mean-line equations and k1/r (k2/k1) constants of NACA Reports 537 and
+// 610 with the four-digit thickness, and rounded as printed (done so, the
+// 23012 table comes out within 0.03% chord of the published one). The mean
+// lines are also checked against what the constants are defined to give: the
+// design lift coefficient and, for the standard lines, zero slope at the
+// maximum-camber position p = P/20; the reflexed line has zero pitching moment
+// about the quarter chord.
+import { naca5Coordinates, naca5MeanLine } from './nacaprofile.js';
+
+const TOLERANCE = 0.002; // chord fractions
+let failures = 0;
+
+function check(label, actual, expected, tolerance = TOLERANCE) {
+    const ok = Math.abs(actual - expected) <= tolerance;
+    if (!ok) failures++;
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}: ${actual.toFixed(5)} (expected ${expected.toFixed(5)} ± ${tolerance})`);
+}
+
+// percent chord: [x, y upper, y lower]
+const ORDINATES = {
+    '23012': [
+        [1.25, 2.67, -1.23], [2.5, 3.61, -1.71], [5, 4.91, -2.26], [7.5, 5.80, -2.61],
+        [10, 6.43, -2.92], [15, 7.19, -3.50], [20, 7.50, -3.97], [25, 7.60, -4.28],
+        [30, 7.55, -4.46], [40, 7.14, -4.48], [50, 6.41, -4.17], [60, 5.47, -3.67],
+        [70, 4.36, -3.00], [80, 3.08, -2.16], [90, 1.68, -1.23], [95, 0.92, -0.70],
+        [100, 0.13, -0.13]
+    ],
+    '23112': [
+        [1.25, 2.76, -1.20], [2.5, 3.73, -1.64], [5, 5.08, -2.12], [7.5, 6.00, -2.44],
+        [10, 6.66, -2.72], [15, 7.42, -3.27], [20, 7.71, -3.77], [25, 7.74, -4.15],
+        [30, 7.63, -4.38], [40, 7.10, -4.52], [50, 6.26, -4.33], [60, 5.24, -3.89],
+        [70, 4.08, -3.25], [80, 2.84, -2.41], [90, 1.52, -1.38], [95, 0.83, -0.78],
+        [100, 0.13, -0.13]
+    ],
+    '24012': [
+        [1.25, 2.56, -1.35], [2.5, 3.49, -1.84], [5, 4.80, -2.39], [7.5, 5.74, -2.71],
+        [10, 6.44, -2.95], [15, 7.36, -3.34], [20, 7.82, -3.66], [25, 7.96, -3.93],
+        [30, 7.89, -4.11], [40, 7.43, -4.18], [50, 6.66, -3.94], [60, 5.66, -3.47],
+        [70, 4.48, -2.85], [80, 3.17, -2.08], [90, 1.72, -1.17], [95, 0.94, -0.67],
+        [100, 0.13, -0.13]
+    ],
+    '25012': [
+        [1.25, 2.47, -1.41], [2.5, 3.38, -1.93], [5, 4.68, -2.50], [7.5, 5.63, -2.83],
+        [10, 6.36, -3.05], [15, 7.37, -3.34], [20, 7.95, -3.53], [25, 8.20, -3.68],
+        [30, 8.21, -3.79], [40, 7.74, -3.87], [50, 6.92, -3.68], [60, 5.86, -3.27],
+        [70, 4.64, -2.69], [80, 3.28, -1.97], [90, 1.78, -1.12], [95, 0.97, -0.64],
+        [100, 0.13, -0.13]
+    ]
+};
+
+// y of a surface polyline ([x, y], sorted by x) at x
+function surfaceY(surface, x) {
+    for (let i = 1; i < surface.length; i++) {
+        const [x0, y0] = surface[i - 1];
+        const [x1, y1] = surface[i];
+        if (x <= x1 || i === surface.length - 1) {
+            const t = x1 > x0 ? (x - x0) / (x1 - x0) : 0;
+            return y0 + t * (y1 - y0);
+        }
+    }
+    return NaN;
+}
+
+// generated contour (upper LE -> TE, then lower TE -> LE, centred on x = 0) split into surfaces
+function surfaces(code) {
+    const pts = naca5Coordinates(code, 1, 200).map(p => [p.x + 0.5, p.y]);
+    const half = pts.length / 2;
+    const byX = (a, b) => a[0] - b[0];
+    return {
+        upper: pts.slice(0, half).sort(byX),
+        lower: pts.slice(half).sort(byX)
+    };
+}
+
+Object.entries(ORDINATES).forEach(([code, rows]) => {
+    console.log(`NACA ${code} ordinates`);
+    const { upper, lower } = surfaces(code);
+    rows.forEach(([x, yu, yl]) => {
+        check(`upper y at x=${x}%`, surfaceY(upper, x / 100), yu / 100);
+        check(`lower y at x=${x}%`, surfaceY(lower, x / 100), yl / 100);
+    });
+});
+
+// Thin-airfoil coefficients of a mean line: with x = (1 - cos θ) / 2,
+// A_n = (2/π) ∫ dyc/dx cos(nθ) dθ; the design lift coefficient is π A1 and
+// the quarter-chord moment coefficient π/4 (A2 - A1).
+function fourier(camber, n, steps = 4000) {
+    let sum = 0;
+    for (let i = 0; i < steps; i++) {
+        const theta = (i + 0.5) / steps * Math.PI;
+        sum += camber((1 - Math.cos(theta)) / 2).dyc * Math.cos(n * theta);
+    }
+    return 2 / Math.PI * sum * Math.PI / steps;
+}
+
+Object.keys(ORDINATES).forEach((code) => {
+    console.log(`NACA ${code} mean line`);
+    const camber = naca5MeanLine(code);
+    const A1 = fourier(camber, 1);
+    const A2 = fourier(camber, 2);
+    check('design lift coefficient', Math.PI * A1, 0.3, 0.01);
+    check('camber at the trailing edge', camber(1).yc, 0, 1e-4);
+    if (code[2] === '1') {
+        check('quarter-chord moment coefficient', Math.PI / 4 * (A2 - A1), 0, 0.002);
+    } else {
+        check(`camber slope at p=${code[1] / 20}`, camber(code[1] / 20).dyc, 0, 0.002);
+    }
+    // the thickness is laid on top of the mean line: the surfaces straddle it
+    const { upper, lower } = surfaces(code);
+    check('max thickness', Math.max(...upper.map(([x, y]) => y - surfaceY(lower, x))), 0.12, 0.003);
+});
+
+if (failures) {
+    console.log(`${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('all checks passed');
@@ -0,0 +1,51 @@
+// Regression check of the NACA 6-series generator (nacaprofile.js).
+//   node frontend/naca6check.mjs
+// Like naca5check.mjs this needs 'three' resolvable by node.
+//
+// Every accepted designation, including the a=0 mean line (a² ln a taken at
+// its limit), has to give finite coordinates. The a-type mean lines are
+// checked against their design lift coefficient by thin-airfoil theory, and
+// a=0 against a mean line just above it.
+import { isNaca6Code, naca6Coordinates, naca6MeanLine } from './nacaprofile.js';
+
+let failures = 0;
+
+function check(label, actual, expected, tolerance) {
+    const ok = Math.abs(actual - expected) <= tolerance;
+    if (!ok) failures++;
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}: ${actual.toFixed(5)} (expected ${expected.toFixed(5)} ± ${tolerance})`);
+}
+
+// design lift coefficient π A1, A1 = (2/π) ∫ dyc/dx cos θ dθ with x = (1 - cos θ) / 2
+function designLift(camber, steps = 4000) {
+    let sum = 0;
+    for (let i = 0; i < steps; i++) {
+        const theta = (i + 0.5) / steps * Math.PI;
+        sum += camber((1 - Math.cos(theta)) / 2).dyc * Math.cos(theta);
+    }
+    return 2 * sum * Math.PI / steps;
+}
+
+const CODES = ['63-215', '64-415', '65-410', '65-410, a=0', '65-410, a=0.0', '65-410, a=0.5', '66-212, a=0.8', '64A010', '65A410'];
+CODES.forEach((code) => {
+    console.log(`NACA ${code}`);
+    check('accepted', isNaca6Code(code) ? 1 : 0, 1, 0);
+    const pts = naca6Coordinates(code, 1, 40);
+    check('non-finite points', pts.filter(p => !Number.isFinite(p.x) || !Number.isFinite(p.y)).length, 0, 0);
+    // 6A lines are straightened aft and scaled, so only the a-type lines are checked for Cl
+    if (!/A/.test(code.replace(/a=/, ''))) {
+        const cli = parseInt(code.split('-')[1][0], 10) / 10;
+        check('design lift coefficient', designLift(naca6MeanLine(code)), cli, 0.01);
+    }
+});
+
+console.log('a=0 against a=0.001');
+const zero = naca6MeanLine('65-410, a=0');
+const near = naca6MeanLine('65-410, a=0.001');
+[0.05, 0.25, 0.5, 0.75, 0.95].forEach(x => check(`camber at x=${x}`, zero(x).yc, near(x).yc, 1e-4));
+
+if (failures) {
+    console.log(`${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('all checks passed');
@@ -1,48 +1,204 @@
 import * as THREE from 'three';
 
+// Parses 'MPTT' and modified 4-digit 'MPTT-IT' codes. I is the leading-edge
+// radius index (6 = normal, 0 = sharp) and T the max-thickness position in tenths of chord.
 function parseNACA(code) {
-    const s = String(code).padStart(4, '0');
+    const str = String(code).trim();
+    const mod = str.match(/^(\d{1,4})-(\d)(\d)$/);
+    const s = (mod ? mod[1] : str).padStart(4, '0');
     const m = parseInt(s[0], 10) / 100.0;     // max camber
     const p = parseInt(s[1], 10) / 10.0;      // location of max camber
     const t = parseInt(s.slice(2, 4), 10) / 100.0; // thickness
-    return { m, p, t };
+    let modified = null;
+    if (mod) {
+        const I = parseInt(mod[2], 10);
+        const T = parseInt(mod[3], 10);
+        if (T < 2 || T > 6) throw new Error(`Invalid modified NACA 4-digit code ${str}: max-thickness position must be 2-6`);
+        modified = { I, mt: T / 10.0 };
+    }
+    return { m, p, t, modified };
+}
+
+// Trailing-edge modes shared by the NACA generators: 'open' keeps each
+// family's published trailing edge, 'closed' forces a sharp edge and
+// 'finite' sets the total thickness to options.teThickness (percent chord).
+export const TRAILING_EDGE_MODES = ['open', 'closed', 'finite'];
+
+// Target trailing-edge half-thickness (fraction of chord), or null for the published shape.
+function trailingEdgeHalfThickness(options = {}) {
+    const mode = options.te || 'open';
+    if (mode === 'closed') return 0;
+    if (mode === 'finite') return Math.max(0, parseFloat(options.teThickness) || 0) / 200;
+    return null;
+}
+
+// x^4 coefficient of the 4-digit thickness polynomial: -0.1015 gives the
+// standard open edge, -0.1036 closes it, anything else sets a finite edge.
+function thicknessA4(t, options) {
+    const half = trailingEdgeHalfThickness(options);
+    if (half === null || t <= 0) return -0.1015;
+    return half * 0.2 / t - 0.1036;
+}
+
+// Point distributions along the chord: 'cosine' clusters points at both
+// edges, 'half-cosine' at the leading edge only, 'uniform' spaces x evenly and
+// 'adaptive' resamples a dense cosine contour by curvature (adaptiveResample).
+export const SPACING_MODES = ['cosine', 'half-cosine', 'uniform', 'adaptive'];
+
+// n + 1 chordwise stations in 0..1 for the requested spacing.
+export function chordStations(n, spacing = 'cosine') {
+    const out = [];
+    for (let i = 0; i <= n; i++) {
+        const u = i / n;
+        if (spacing === 'uniform') out.push(u);
+        else if (spacing === 'half-cosine') out.push(1 - Math.cos(u * Math.PI / 2));
+        else out.push((1 - Math.cos(u * Math.PI)) / 2);
+    }
+    return out;
 }
 
-export function naca4Coordinates(code, chord = 1, n = 200) {
-    const { m, p, t } = parseNACA(code);
+// Stations a generator evaluates; adaptive spacing starts from a dense cosine set.
+function sampleStations(n, options = {}) {
+    if (options.spacing === 'adaptive') return chordStations(Math.max(4 * n, 400), 'cosine');
+    return chordStations(n, options.spacing);
+}
+
+// Resample one surface polyline (Vector2, LE -> TE) to n + 1 points, spending
+// points where the contour turns: the spacing measure blends arc length with
+// the accumulated turning angle. Segments are kept at least minSegment long
+// (same units as the points) unless the surface is too short for that.
+export function adaptiveResample(pts, n, minSegment = 0) {
+    const m = pts.length;
+    const s = [0];
+    for (let i = 1; i < m; i++) s.push(s[i - 1] + pts[i].distanceTo(pts[i - 1]));
+    const total = s[m - 1];
+    const bend = new Array(m).fill(0);
+    for (let i = 1; i < m - 1; i++) {
+        const a1 = Math.atan2(pts[i].y - pts[i - 1].y, pts[i].x - pts[i - 1].x);
+        const a2 = Math.atan2(pts[i + 1].y - pts[i].y, pts[i + 1].x - pts[i].x);
+        let d = Math.abs(a2 - a1);
+        if (d > Math.PI) d = 2 * Math.PI - d;
+        bend[i] = d;
+    }
+    const totalBend = bend.reduce((a, b) => a + b, 0);
+    const w = totalBend > 0 ? 0.6 : 0;
+    const F = [0];
+    for (let i = 1; i < m; i++) {
+        const turn = totalBend > 0 ? 0.5 * (bend[i - 1] + bend[i]) / totalBend : 0;
+        F.push(F[i - 1] + (1 - w) * (s[i] - s[i - 1]) / total + w * turn);
+    }
+    const Fend = F[m - 1];
+
+    // arc-length targets at equal steps of the blended measure
+    const targets = [];
+    let j = 1;
+    for (let k = 0; k <= n; k++) {
+        const f = Fend * k / n;
+        while (j < m - 1 && F[j] < f) j++;
+        const span = F[j] - F[j - 1] || 1;
+        targets.push(s[j - 1] + (s[j] - s[j - 1]) * Math.max(0, Math.min(1, (f - F[j - 1]) / span)));
+    }
+    const minLen = Math.min(minSegment, total / n);
+    for (let k = 1; k <= n; k++) targets[k] = Math.max(targets[k], targets[k - 1] + minLen);
+    targets[n] = total;
+    for (let k = n - 1; k > 0; k--) targets[k] = Math.min(targets[k], targets[k + 1] - minLen);
+    targets[0] = 0;
+
+    const out = [];
+    j = 1;
+    for (const target of targets) {
+        while (j < m - 1 && s[j] < target) j++;
+        const seg = s[j] - s[j - 1] || 1;
+        out.push(pts[j - 1].clone().lerp(pts[j], Math.max(0, Math.min(1, (target - s[j - 1]) / seg))));
+    }
+    return out;
+}
+
+// Generator output layout: upper LE -> TE then lower TE -> LE, chord centered
+// on x = 0. Adaptive spacing resamples each surface to n + 1 points here;
+// options.minSegment is the minimum segment length in percent chord.
+function assembleCoordinates(ptsUpper, ptsLower, chord, n, options = {}) {
+    let upper = ptsUpper;
+    let lower = ptsLower;
+    if (options.spacing === 'adaptive') {
+        const minSegment = Math.max(0, parseFloat(options.minSegment) || 0) / 100 * chord;
+        upper = adaptiveResample(upper, n, minSegment);
+        lower = adaptiveResample(lower, n, minSegment);
+    }
+    const coords = [];
+    for (let i = 0; i < upper.length; i++) coords.push(upper[i]);
+    for (let i = lower.length - 1; i >= 0; i--) coords.push(lower[i]);
+    return coords.map(p => new THREE.Vector2(p.x - chord / 2, p.y));
+}
+
+export function isModifiedNaca4Code(code) {
+    return /^\d{4}-\d{2}$/.test(String(code).trim());
+}
+
+// Modified 4-digit thickness (Abbott & von Doenhoff sec. 6.4, coefficients as in
+// NASA TM-4741). Returns the half-thickness for a 20% section at chord fraction x.
+// d0 is the trailing-edge half-thickness of that 20% section (0.002 when open).
+function modifiedThicknessFunction(I, mt, d0 = 0.002) {
+    const a0 = 0.296904 * I / 6;
+    const d1 = (2.24 - 5.42 * mt + 12.3 * mt * mt) / (10 * (1 - 0.878 * mt));
+    const d2 = (3 * (0.1 - d0) - 2 * (1 - mt) * d1) / Math.pow(1 - mt, 2);
+    const d3 = (-2 * (0.1 - d0) + (1 - mt) * d1) / Math.pow(1 - mt, 3);
+    const rho1 = 0.2 * Math.pow(1 - mt, 2) / (6 * (0.1 - d0) - 2 * d1 * (1 - mt));
+    const a1 = 0.3 / mt - 15 * a0 / (8 * Math.sqrt(mt)) - mt / (10 * rho1);
+    const a2 = -0.3 / (mt * mt) + 5 * a0 / (4 * Math.pow(mt, 1.5)) + 1 / (5 * rho1);
+    const a3 = 0.1 / Math.pow(mt, 3) - 0.375 * a0 / Math.pow(mt, 2.5) - 1 / (10 * mt * rho1);
+    return function thickness(x) {
+        if (x < mt) return a0 * Math.sqrt(x) + a1 * x + a2 * x * x + a3 * x * x * x;
+        const u = 1 - x;
+        return d0 + d1 * u + d2 * u * u + d3 * u * u * u;
+    };
+}
+
+// 4-digit camber line for max camber m at chord fraction p; x is fraction of chord [0..1].
+function naca4CamberLine(m, p) {
+    return function camber(x) {
+        if (p === 0) return { yc: 0, dyc: 0 };
+        if (x < p) {
+            return {
+                yc: (m / (p * p)) * (2 * p * x - Math.pow(x, 2)),
+                dyc: (2 * m / (p * p)) * (p - x)
+            };
+        }
+        return {
+            yc: (m / Math.pow(1 - p, 2)) * (1 - 2 * p + 2 * p * x - Math.pow(x, 2)),
+            dyc: (2 * m / Math.pow(1 - p, 2)) * (p - x)
+        };
+    };
+}
+
+export function naca4Coordinates(code, chord = 1, n = 200, options = {}) {
+    const { m, p, t, modified } = parseNACA(code);
+    const camber = naca4CamberLine(m, p);
+    const teHalf = trailingEdgeHalfThickness(options);
+    const d0 = (teHalf === null || t <= 0) ? 0.002 : teHalf * 0.2 / t;
+    const modifiedThickness = modified ? modifiedThicknessFunction(modified.I, modified.mt, d0) : null;
+    const a4 = thicknessA4(t, options);
     const ptsUpper = [];
     const ptsLower = [];
 
-    // cosine spacing for better leading-edge resolution
-    for (let i = 0; i <= n; i++) {
-        const beta = (i / n) * Math.PI;
-        const x = (1 - Math.cos(beta)) / 2 * chord; // from 0..chord
+    // chordwise stations for the requested spacing (cosine by default)
+    const stations = sampleStations(n, options);
+    for (let i = 0; i < stations.length; i++) {
+        const x = stations[i] * chord; // from 0..chord
 
-        // thickness distribution (NACA 4-digit standard)
-        const yt =
-            (t * chord / 0.2) *
+        // thickness distribution (NACA 4-digit standard, or modified -IT form)
+        const yt = modifiedThickness
+            ? (t * chord / 0.2) * modifiedThickness(x / chord)
+            : (t * chord / 0.2) *
             (0.2969 * Math.sqrt(x / chord) -
                 0.1260 * (x / chord) -
                 0.3516 * Math.pow(x / chord, 2) +
-                0.2843 * Math.pow(x / chord, 3) -
-                0.1015 * Math.pow(x / chord, 4));
+                0.2843 * Math.pow(x / chord, 3) +
+                a4 * Math.pow(x / chord, 4));
 
         // camber line and its slope
-        let yc = 0;
-        let dyc_dx = 0;
-        if (p === 0) {
-            yc = 0;
-            dyc_dx = 0;
-        } else if (x / chord < p) {
-            yc = (m / (p * p)) * (2 * p * (x / chord) - Math.pow(x / chord, 2)) * chord;
-            dyc_dx = (2 * m / (p * p)) * (p - x / chord);
-        } else {
-            yc =
-                (m / Math.pow(1 - p, 2)) *
-                (1 - 2 * p + 2 * p * (x / chord) - Math.pow(x / chord, 2)) *
-                chord;
-            dyc_dx = (2 * m / Math.pow(1 - p, 2)) * (p - x / chord);
-        }
+        const { yc: ycUnit, dyc: dyc_dx } = camber(x / chord);
+        const yc = ycUnit * chord;
 
         const theta = Math.atan(dyc_dx);
 
@@ -56,89 +212,97 @@ export function naca4Coordinates(code, chord = 1, n = 200) {
         ptsLower.push(new THREE.Vector2(xl, yl));
     }
 
-    // build top surface from leading (x=0) to trailing (x=chord) and lower returning
-    const coords = [];
-    for (let i = 0; i < ptsUpper.length; i++) coords.push(ptsUpper[i]);
-    for (let i = ptsLower.length - 1; i >= 0; i--) coords.push(ptsLower[i]);
-
-    // center chord at origin by shifting x by -chord/2 and optionally scale
-    const shifted = coords.map(p => new THREE.Vector2(p.x - chord / 2, p.y));
-    return shifted;
-}
-
-// Approximate NACA 5-digit support (initial implementation).
-// NOTE: This is an initial, compatible generator that maps a 5-digit code
-// into a camber/thickness set and reuses the 4-digit camber logic. It is
-// intentionally conservative so we can test UI and wiring first. If you
-// want the full airfoiltools-accurate 5-digit equations, I will replace
-// this implementation with the standard K1/K2-based formulation next.
-export function naca5Coordinates(code, chord = 1, n = 200) {
-    const s = String(code).replace(/\D/g, '').padStart(5, '0');
+    // build top surface from leading (x=0) to trailing (x=chord) and lower returning,
+    // centered on the origin
+    return assembleCoordinates(ptsUpper, ptsLower, chord, n, options);
+}
+
+// NACA 5-digit camber line tables (AirfoilTools / Abbott & von Doenhoff),
+// tabulated for a design lift coefficient of 0.3 and keyed by the P digit.
+const NACA5_STANDARD = {
+    1: { r: 0.0580, k1: 361.400 },
+    2: { r: 0.1260, k1: 51.640 },
+    3: { r: 0.2025, k1: 15.957 },
+    4: { r: 0.2900, k1: 6.643 },
+    5: { r: 0.3910, k1: 3.230 }
+};
+const NACA5_REFLEX = {
+    2: { r: 0.1300, k1: 51.990, k2k1: 0.000764 },
+    3: { r: 0.2170, k1: 15.793, k2k1: 0.00677 },
+    4: { r: 0.3180, k1: 6.520, k2k1: 0.0303 },
+    5: { r: 0.4410, k1: 3.191, k2k1: 0.1355 }
+};
+
+// Parses an LPQTT code and throws for designations that have no camber line
+// definition (P=0 or P>5, Q other than 0/1, reflex with P=1, zero thickness).
+function parseNACA5(code) {
+    const s = String(code).replace(/\D/g, '');
+    if (s.length !== 5) throw new Error(`Invalid NACA 5-digit code: ${code}`);
     const L = parseInt(s[0], 10); // lift coefficient code (L -> Cl = L * 3/20)
     const P = parseInt(s[1], 10); // position code (P -> p = P/20)
     const Q = parseInt(s[2], 10); // reflex flag (0 = normal, 1 = reflex)
     const t = parseInt(s.slice(3, 5), 10) / 100.0; // thickness
 
-    // design lift coefficient and linear scaling from base CL=0.3 used in tables
-    const Cl = (L * 3.0) / 20.0; // e.g. L=2 -> Cl=0.3
-    const scale = Cl / 0.3; // multiply k1/k2 by this scale
-
-    // position of maximum camber (p) and table key
-    const p = P / 20.0; // e.g. P=3 -> p=0.15
-    const key = String(P * 5); // 3 -> '15'
-
-    // Tables from AirfoilTools / NACA documentation
-    const standard = {
-        '5': { r: 0.10, k1: 0.0580 },
-        '10': { r: 0.20, k1: 0.1260 },
-        '15': { r: 0.30, k1: 0.2025 },
-        '20': { r: 0.40, k1: 0.2900 },
-        '25': { r: 0.50, k1: 0.3910 }
-    };
-    const reflex = {
-        '10': { r: 0.20, k1: 0.1300, k2k1: 0.000764 },
-        '15': { r: 0.30, k1: 0.2170, k2k1: 0.00677 },
-        '20': { r: 0.40, k1: 0.3180, k2k1: 0.0303 },
-        '25': { r: 0.50, k1: 0.4410, k2k1: 0.1355 }
-    };
+    if (Q !== 0 && Q !== 1) throw new Error(`Invalid NACA 5-digit code ${s}: Q must be 0 or 1`);
+    const table = Q === 1 ? NACA5_REFLEX : NACA5_STANDARD;
+    if (!table[P]) {
+        const allowed = Q === 1 ? '2-5 for reflex sections' : '1-5';
+        throw new Error(`Invalid NACA 5-digit code ${s}: P must be ${allowed}`);
+    }
+    if (t <= 0) throw new Error(`Invalid NACA 5-digit code ${s}: thickness must be greater than zero`);
 
-    // choose table entry
-    let entry;
-    let isReflex = (Q === 1);
-    if (isReflex) entry = reflex[key] || reflex['15'];
-    else entry = standard[key] || standard['15'];
+    const Cl = (L * 3.0) / 20.0; // design lift coefficient, e.g. L=2 -> 0.3
+    return { L, P, Q, t, Cl, p: P / 20.0, reflex: Q === 1, ...table[P] };
+}
 
-    const r = entry.r;
-    const k1 = (entry.k1 || 0) * Math.max(0, scale);
-    const k2 = (isReflex && entry.k2k1) ? (k1 * entry.k2k1) : 0;
+// NACA 5-digit camber line (k1/k2 formulation). k1 (and k2, which scales with
+// k1) is tabulated for Cl=0.3 and scaled linearly to the design lift coefficient.
+function naca5CamberLine(spec) {
+    const { r, reflex } = spec;
+    const k1 = spec.k1 * (spec.Cl / 0.3);
+    const k2k1 = reflex ? spec.k2k1 : 0;
 
-    // camber line and slope functions for NACA 5-digit
-    function yc_and_dyc(x) {
-        // x is fraction of chord [0..1]
+    // x is fraction of chord [0..1]
+    return function camber(x) {
+        if (!reflex) {
+            if (x < r) {
+                const yc = (k1 / 6) * (Math.pow(x, 3) - 3 * r * Math.pow(x, 2) + Math.pow(r, 2) * (3 - r) * x);
+                const dyc = (k1 / 6) * (3 * Math.pow(x, 2) - 6 * r * x + Math.pow(r, 2) * (3 - r));
+                return { yc, dyc };
+            }
+            return { yc: (k1 / 6) * Math.pow(r, 3) * (1 - x), dyc: -(k1 / 6) * Math.pow(r, 3) };
+        }
+        // reflexed camber line
+        const tail = k2k1 * Math.pow(1 - r, 3) + Math.pow(r, 3);
         if (x < r) {
-            // polynomial region
-            const yc = (k1 / 6) * (Math.pow(x, 3) - 3 * r * Math.pow(x, 2) + Math.pow(r, 2) * (3 - r) * x) + (k2 ? (k2 / 6) * Math.pow(1 - x, 3) : 0);
-            const dyc = (k1 / 6) * (3 * Math.pow(x, 2) - 6 * r * x + Math.pow(r, 2) * (3 - r)) - (k2 ? (k2 / 2) * Math.pow(1 - x, 2) : 0);
-            return { yc, dyc };
-        } else {
-            // linear + possible reflex term
-            const yc = (k1 / 6) * Math.pow(r, 3) * (1 - x) + (k2 ? (k2 / 6) * Math.pow(1 - x, 3) : 0);
-            const dyc = -(k1 / 6) * Math.pow(r, 3) - (k2 ? (k2 / 2) * Math.pow(1 - x, 2) : 0);
+            const yc = (k1 / 6) * (Math.pow(x - r, 3) - tail * x + Math.pow(r, 3));
+            const dyc = (k1 / 6) * (3 * Math.pow(x - r, 2) - tail);
             return { yc, dyc };
         }
-    }
+        const yc = (k1 / 6) * (k2k1 * Math.pow(x - r, 3) - tail * x + Math.pow(r, 3));
+        const dyc = (k1 / 6) * (3 * k2k1 * Math.pow(x - r, 2) - tail);
+        return { yc, dyc };
+    };
+}
+
+// Exact NACA 5-digit generator using the k1/k2 camber line formulation.
+export function naca5Coordinates(code, chord = 1, n = 200, options = {}) {
+    const spec = parseNACA5(code);
+    const { t } = spec;
+    const a4 = thicknessA4(t, options);
+    const yc_and_dyc = naca5CamberLine(spec);
 
     const ptsUpper = [];
     const ptsLower = [];
 
-    // cosine spacing for better leading-edge resolution
-    for (let i = 0; i <= n; i++) {
-        const beta = (i / n) * Math.PI;
-        const x = (1 - Math.cos(beta)) / 2 * chord; // 0..chord
+    // chordwise stations for the requested spacing (cosine by default)
+    const stations = sampleStations(n, options);
+    for (let i = 0; i < stations.length; i++) {
+        const x = stations[i] * chord; // 0..chord
         const xf = x / chord;
 
         // thickness distribution (same as 4-digit standard)
-        const yt = (t * chord / 0.2) * (0.2969 * Math.sqrt(xf) - 0.1260 * xf - 0.3516 * Math.pow(xf, 2) + 0.2843 * Math.pow(xf, 3) - 0.1015 * Math.pow(xf, 4));
+        const yt = (t * chord / 0.2) * (0.2969 * Math.sqrt(xf) - 0.1260 * xf - 0.3516 * Math.pow(xf, 2) + 0.2843 * Math.pow(xf, 3) + a4 * Math.pow(xf, 4));
 
         const { yc, dyc } = yc_and_dyc(xf);
         const theta = Math.atan(dyc);
@@ -153,10 +317,362 @@ export function naca5Coordinates(code, chord = 1, n = 200) {
         ptsLower.push(new THREE.Vector2(xl, yl));
     }
 
-    const coords = [];
-    for (let i = 0; i < ptsUpper.length; i++) coords.push(ptsUpper[i]);
-    for (let i = ptsLower.length - 1; i >= 0; i--) coords.push(ptsLower[i]);
+    return assembleCoordinates(ptsUpper, ptsLower, chord, n, options);
+}
+
+// --- NACA 6-series / 6A-series ---
+// Thickness forms are not analytic for the 6-series, so the basic symmetric
+// sections are tabulated at 10% thickness (Abbott & von Doenhoff, NACA
+// Reports 824/903) and scaled linearly to the requested thickness.
+const NACA6_X = [0, 0.005, 0.0075, 0.0125, 0.025, 0.05, 0.075, 0.1, 0.15, 0.2, 0.25, 0.3, 0.35,
+    0.4, 0.45, 0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95, 1.0];
+
+// half-thickness in percent chord for the 10% thick basic forms
+const NACA6_THICKNESS = {
+    '63': [0, 0.829, 0.995, 1.250, 1.701, 2.343, 2.826, 3.221, 3.842, 4.302, 4.639, 4.864, 4.988,
+        5.000, 4.904, 4.658, 4.293, 3.842, 3.324, 2.762, 2.176, 1.595, 1.047, 0.562, 0.188, 0],
+    '64': [0, 0.804, 0.969, 1.225, 1.688, 2.327, 2.805, 3.199, 3.813, 4.272, 4.606, 4.837, 4.968,
+        5.002, 4.915, 4.696, 4.363, 3.948, 3.465, 2.935, 2.377, 1.807, 1.260, 0.750, 0.300, 0],
+    '65': [0, 0.772, 0.932, 1.169, 1.574, 2.177, 2.647, 3.040, 3.666, 4.143, 4.503, 4.760, 4.924,
+        4.996, 4.963, 4.812, 4.530, 4.146, 3.682, 3.156, 2.584, 1.987, 1.385, 0.810, 0.306, 0],
+    '66': [0, 0.759, 0.913, 1.141, 1.516, 2.087, 2.536, 2.917, 3.530, 4.017, 4.390, 4.664, 4.851,
+        4.965, 5.000, 4.950, 4.797, 4.524, 4.113, 3.602, 3.006, 2.337, 1.623, 0.922, 0.336, 0],
+    // 6A forms: fuller aft sections with straight sides from 0.8c to a finite trailing edge
+    '63A': [0, 0.829, 0.995, 1.250, 1.701, 2.343, 2.826, 3.221, 3.842, 4.302, 4.639, 4.864, 4.988,
+        5.000, 4.924, 4.736, 4.469, 4.130, 3.730, 3.283, 2.800, 2.301, 1.778, 1.255, 0.733, 0.210],
+    '64A': [0, 0.804, 0.969, 1.225, 1.688, 2.327, 2.805, 3.199, 3.813, 4.272, 4.606, 4.837, 4.968,
+        5.002, 4.937, 4.782, 4.544, 4.227, 3.840, 3.393, 2.899, 2.386, 1.842, 1.298, 0.754, 0.210],
+    '65A': [0, 0.772, 0.932, 1.169, 1.574, 2.177, 2.647, 3.040, 3.666, 4.143, 4.503, 4.760, 4.924,
+        4.996, 4.963, 4.858, 4.661, 4.363, 3.964, 3.484, 2.949, 2.389, 1.844, 1.299, 0.755, 0.210]
+};
+
+// Natural cubic spline through (xs, ys); returns an evaluator. xs must be increasing.
+export function naturalSpline(xs, ys) {
+    const n = xs.length - 1;
+    const h = [];
+    for (let i = 0; i < n; i++) h.push(xs[i + 1] - xs[i]);
+    const alpha = [0];
+    for (let i = 1; i < n; i++) {
+        alpha.push(3 / h[i] * (ys[i + 1] - ys[i]) - 3 / h[i - 1] * (ys[i] - ys[i - 1]));
+    }
+    const l = [1], mu = [0], z = [0];
+    for (let i = 1; i < n; i++) {
+        l.push(2 * (xs[i + 1] - xs[i - 1]) - h[i - 1] * mu[i - 1]);
+        mu.push(h[i] / l[i]);
+        z.push((alpha[i] - h[i - 1] * z[i - 1]) / l[i]);
+    }
+    const c = new Array(n + 1).fill(0);
+    const b = new Array(n).fill(0);
+    const d = new Array(n).fill(0);
+    for (let j = n - 1; j >= 0; j--) {
+        c[j] = z[j] - mu[j] * c[j + 1];
+        b[j] = (ys[j + 1] - ys[j]) / h[j] - h[j] * (c[j + 1] + 2 * c[j]) / 3;
+        d[j] = (c[j + 1] - c[j]) / (3 * h[j]);
+    }
+    return function evaluate(x) {
+        let i = 0;
+        while (i < n - 1 && x > xs[i + 1]) i++;
+        const dx = x - xs[i];
+        return ys[i] + b[i] * dx + c[i] * dx * dx + d[i] * dx * dx * dx;
+    };
+}
+
+// Parses codes like '63-215', '63(2)-415', '64A010', '65-410, a=0.5'.
+// Returns null when the string is not a 6-series designation.
+function parseNACA6(code) {
+    const s = String(code).trim().toUpperCase().replace(/\s+/g, '');
+    const m = s.match(/^6([3-6])(?:\((\d)\)|_(\d)|(\d)(?=-))?(?:-(A)?|(A))(\d)(\d{2})(?:,?A=(\d*\.?\d+))?$/);
+    if (!m) return null;
+    const isA = Boolean(m[5] || m[6]);
+    const family = '6' + m[1] + (isA ? 'A' : '');
+    if (!NACA6_THICKNESS[family]) return null;
+    const cli = parseInt(m[7], 10) / 10.0;  // design lift coefficient
+    const t = parseInt(m[8], 10) / 100.0;   // thickness
+    // 6A sections always use the modified a=0.8 mean line
+    const a = isA ? 0.8 : (m[9] !== undefined ? Math.max(0, Math.min(1, parseFloat(m[9]))) : 1.0);
+    return { family, isA, cli, t, a };
+}
+
+export function isNaca6Code(code) {
+    return parseNACA6(code) !== null;
+}
+
+// NACA a-type mean line (Abbott & von Doenhoff eq. 4.25), unit chord.
+function meanLineA(x, a, cli) {
+    const xl = Math.min(Math.max(x, 1e-12), 1 - 1e-12);
+    if (a >= 1 - 1e-9) {
+        const yc = -cli / (4 * Math.PI) * ((1 - xl) * Math.log(1 - xl) + xl * Math.log(xl));
+        const dyc = cli / (4 * Math.PI) * (Math.log(1 - xl) - Math.log(xl));
+        return { yc, dyc };
+    }
+    // a² ln a -> 0 as a -> 0 (loading falling off linearly from the leading edge)
+    const a2LogA = a > 0 ? a * a * Math.log(a) : 0;
+    const g = -1 / (1 - a) * (0.5 * a2LogA - 0.25 * a * a + 0.25);
+    const h = 1 / (1 - a) * (0.5 * Math.pow(1 - a, 2) * Math.log(1 - a) - 0.25 * Math.pow(1 - a, 2)) + g;
+    const k = cli / (2 * Math.PI * (a + 1));
+    const ax = Math.max(Math.abs(a - xl), 1e-12);
+    const yc = k * (1 / (1 - a) * (0.5 * Math.pow(a - xl, 2) * Math.log(ax) - 0.5 * Math.pow(1 - xl, 2) * Math.log(1 - xl)
+        + 0.25 * Math.pow(1 - xl, 2) - 0.25 * Math.pow(a - xl, 2)) - xl * Math.log(xl) + g - h * xl);
+    const dyc = k * (1 / (1 - a) * ((1 - xl) * Math.log(1 - xl) - (a - xl) * Math.log(ax)) - Math.log(xl) - 1 - h);
+    return { yc, dyc };
+}
+
+// 6A mean line: a=0.8 line with cli scaled down, straight aft of x=0.87437 (NACA Report 903).
+function meanLine6A(x, cli) {
+    if (x <= 0.87437) return meanLineA(x, 0.8, cli / 1.0209);
+    return { yc: cli * (0.0302164 - 0.245209 * (x - 0.87437)), dyc: -0.245209 * cli };
+}
+
+function naca6CamberLine({ isA, cli, a }) {
+    return x => (isA ? meanLine6A(x, cli) : meanLineA(x, a, cli));
+}
+
+export function naca6Coordinates(code, chord = 1, n = 200, options = {}) {
+    const spec = parseNACA6(code);
+    if (!spec) throw new Error(`Invalid NACA 6-series code: ${code}`);
+    const { family, t } = spec;
+    const camber = naca6CamberLine(spec);
+
+    // spline the tabulated form in sqrt(x) so the round leading edge is captured
+    const table = NACA6_THICKNESS[family];
+    const thickness = naturalSpline(NACA6_X.map(Math.sqrt), table.map(v => v / 100 * (t / 0.10)));
+    // tabulated forms fix the trailing edge, so other modes blend in a linear ramp
+    const teHalf = trailingEdgeHalfThickness(options);
+    const teRamp = teHalf === null ? 0 : teHalf - table[table.length - 1] / 100 * (t / 0.10);
+
+    const ptsUpper = [];
+    const ptsLower = [];
+
+    // chordwise stations for the requested spacing (cosine by default)
+    const stations = sampleStations(n, options);
+    for (let i = 0; i < stations.length; i++) {
+        const x = stations[i] * chord; // 0..chord
+        const xf = x / chord;
+
+        const yt = Math.max(0, thickness(Math.sqrt(xf)) + teRamp * xf) * chord;
+        const { yc, dyc } = camber(xf);
+        const theta = Math.atan(dyc);
+
+        const xu = x - yt * Math.sin(theta);
+        const yu = yc * chord + yt * Math.cos(theta);
+
+        const xl = x + yt * Math.sin(theta);
+        const yl = yc * chord - yt * Math.cos(theta);
+
+        ptsUpper.push(new THREE.Vector2(xu, yu));
+        ptsLower.push(new THREE.Vector2(xl, yl));
+    }
+
+    return assembleCoordinates(ptsUpper, ptsLower, chord, n, options);
+}
+
+// --- Parametric airfoils (CST, Bezier, PARSEC) ---
+// Each builds upper/lower surface functions y(x) on a unit chord and shares
+// the sampling, trailing-edge handling and output layout of the NACA generators.
+
+// Gaussian elimination with partial pivoting for the small dense systems below.
+function solveSmallSystem(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let c = 0; c < n; c++) {
+        let piv = c;
+        for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[piv][c])) piv = r;
+        [M[c], M[piv]] = [M[piv], M[c]];
+        if (Math.abs(M[c][c]) < 1e-14) throw new Error('Singular system');
+        for (let r = c + 1; r < n; r++) {
+            const f = M[r][c] / M[c][c];
+            for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = M[r][n];
+        for (let k = r + 1; k < n; k++) sum -= M[r][k] * x[k];
+        x[r] = sum / M[r][r];
+    }
+    return x;
+}
+
+// Least-squares solution of A x ~ b through the normal equations (small ridge for stability).
+export function leastSquares(A, b, ridge = 1e-12) {
+    const m = A[0].length;
+    const AtA = Array.from({ length: m }, () => new Array(m).fill(0));
+    const Atb = new Array(m).fill(0);
+    A.forEach((row, i) => {
+        for (let p = 0; p < m; p++) {
+            Atb[p] += row[p] * b[i];
+            for (let q = 0; q < m; q++) AtA[p][q] += row[p] * row[q];
+        }
+    });
+    for (let p = 0; p < m; p++) AtA[p][p] += ridge;
+    return solveSmallSystem(AtA, Atb);
+}
+
+// Sample upper/lower y(x) (unit chord) at the requested stations. For the
+// closed/finite trailing-edge modes the surfaces are ramped linearly so the
+// total TE thickness matches; 'open' keeps the parameterisation's own edge.
+function surfaceCoordinates(yUpper, yLower, chord, n, options = {}) {
+    const teHalf = trailingEdgeHalfThickness(options);
+    const ramp = teHalf === null ? 0 : teHalf - (yUpper(1) - yLower(1)) / 2;
+    const ptsUpper = [];
+    const ptsLower = [];
+    sampleStations(n, options).forEach((xf) => {
+        ptsUpper.push(new THREE.Vector2(xf * chord, (yUpper(xf) + ramp * xf) * chord));
+        ptsLower.push(new THREE.Vector2(xf * chord, (yLower(xf) - ramp * xf) * chord));
+    });
+    return assembleCoordinates(ptsUpper, ptsLower, chord, n, options);
+}
+
+function binomial(n, k) {
+    let r = 1;
+    for (let i = 1; i <= k; i++) r = r * (n - k + i) / i;
+    return r;
+}
+
+// Kulfan CST: y = C(x) * S(x) + x * dzTE / 2 with class function
+// C = sqrt(x) * (1 - x) (round nose, sharp tail) and S a Bernstein polynomial
+// whose order is weights.length - 1. The defaults approximate NACA 2412.
+export const CST_DEFAULT = {
+    upper: [0.1938, 0.1975, 0.2309, 0.1722, 0.2178, 0.2041],
+    lower: [-0.1516, -0.1061, -0.0928, -0.0927, -0.0707, -0.0755],
+    dz: 0.0025 // trailing-edge thickness (fraction of chord) for the 'open' mode
+};
+
+export function cstBasis(x, order) {
+    const c = Math.sqrt(Math.max(x, 0)) * (1 - x);
+    const out = [];
+    for (let i = 0; i <= order; i++) out.push(c * binomial(order, i) * Math.pow(x, i) * Math.pow(1 - x, order - i));
+    return out;
+}
+
+function cstSurface(weights, dzHalf) {
+    const order = weights.length - 1;
+    return x => cstBasis(x, order).reduce((sum, b, i) => sum + b * weights[i], 0) + x * dzHalf;
+}
+
+export function cstCoordinates(spec = CST_DEFAULT, chord = 1, n = 200, options = {}) {
+    const { upper, lower } = spec;
+    const valid = w => Array.isArray(w) && w.length >= 1 && w.length <= 16 && w.every(Number.isFinite);
+    if (!valid(upper) || !valid(lower)) {
+        throw new Error('CST needs upper and lower weight arrays');
+    }
+    const dzHalf = (parseFloat(spec.dz) || 0) / 2;
+    return surfaceCoordinates(cstSurface(upper, dzHalf), cstSurface(lower, -dzHalf), chord, n, options);
+}
+
+// Re-express CST weights at another order by least squares on the shape
+// function (exact when raising the order).
+export function cstChangeOrder(weights, order) {
+    const xs = chordStations(60, 'cosine').slice(1, -1);
+    const rows = xs.map(x => cstBasis(x, order));
+    const target = xs.map(x => cstSurface(weights, 0)(x));
+    return leastSquares(rows, target).map(w => Math.round(w * 1e5) / 1e5);
+}
+
+// Bezier airfoil: one Bezier curve per surface from the leading edge to the
+// trailing edge. Control points are [x, y] on a unit chord; a second point
+// straight above/below the first gives the rounded nose.
+export const BEZIER_DEFAULT = {
+    upper: [[0, 0], [0, 0.05], [0.25, 0.1], [0.65, 0.07], [1, 0.0013]],
+    lower: [[0, 0], [0, -0.045], [0.3, -0.05], [0.6, -0.01], [1, -0.0013]]
+};
+
+function bezierPoint(ctrl, t) {
+    const pts = ctrl.map(p => [p[0], p[1]]);
+    for (let r = pts.length - 1; r > 0; r--) {
+        for (let i = 0; i < r; i++) {
+            pts[i][0] += (pts[i + 1][0] - pts[i][0]) * t;
+            pts[i][1] += (pts[i + 1][1] - pts[i][1]) * t;
+        }
+    }
+    return pts[0];
+}
+
+// y at a given x by bisection on the curve parameter (x(t) must be monotonic)
+function bezierSurface(ctrl) {
+    return (x) => {
+        let lo = 0;
+        let hi = 1;
+        for (let k = 0; k < 50; k++) {
+            const mid = (lo + hi) / 2;
+            if (bezierPoint(ctrl, mid)[0] < x) lo = mid; else hi = mid;
+        }
+        return bezierPoint(ctrl, (lo + hi) / 2)[1];
+    };
+}
+
+export function bezierCoordinates(spec = BEZIER_DEFAULT, chord = 1, n = 200, options = {}) {
+    const { upper, lower } = spec;
+    const valid = ctrl => Array.isArray(ctrl) && ctrl.length >= 2 && ctrl.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite));
+    if (!valid(upper) || !valid(lower)) throw new Error('Bezier needs upper and lower control points [x, y]');
+    const monotonic = ctrl => ctrl.every((p, i) => i === 0 || p[0] >= ctrl[i - 1][0]);
+    if (!monotonic(upper) || !monotonic(lower)) throw new Error('Bezier control points must not step backwards in x');
+    return surfaceCoordinates(bezierSurface(upper), bezierSurface(lower), chord, n, options);
+}
+
+// PARSEC (Sobieczky): y = sum a_k x^(k - 1/2), k = 1..6, per surface, from
+// leading-edge radius, crest positions/heights/curvatures and the trailing edge.
+// alphaTE is the trailing-edge direction (°, positive down) and betaTE the wedge angle (°).
+// The defaults are read off NACA 2412.
+export const PARSEC_DEFAULT = {
+    rLE: 0.0159,
+    xUp: 0.337, yUp: 0.0792, yxxUp: -0.62,
+    xLo: 0.222, yLo: -0.0424, yxxLo: 0.43,
+    yTE: 0, dyTE: 0.0025, alphaTE: 3.8, betaTE: 15.9
+};
+export const PARSEC_KEYS = Object.keys(PARSEC_DEFAULT);
+
+function parsecSurface(a1, xc, yc, yxx, yEnd, slopeEnd) {
+    const powers = [1.5, 2.5, 3.5, 4.5, 5.5];
+    const rows = [
+        powers.map(() => 1),
+        powers.map(p => Math.pow(xc, p)),
+        powers.map(p => p * Math.pow(xc, p - 1)),
+        powers.map(p => p * (p - 1) * Math.pow(xc, p - 2)),
+        powers.map(p => p)
+    ];
+    const rhs = [
+        yEnd - a1,
+        yc - a1 * Math.sqrt(xc),
+        -0.5 * a1 / Math.sqrt(xc),
+        yxx + 0.25 * a1 * Math.pow(xc, -1.5),
+        slopeEnd - 0.5 * a1
+    ];
+    const a = solveSmallSystem(rows, rhs);
+    return x => a1 * Math.sqrt(x) + powers.reduce((sum, p, i) => sum + a[i] * Math.pow(x, p), 0);
+}
+
+export function parsecCoordinates(spec = PARSEC_DEFAULT, chord = 1, n = 200, options = {}) {
+    const s = Object.assign({}, PARSEC_DEFAULT, spec);
+    if (!PARSEC_KEYS.every(k => Number.isFinite(s[k]))) throw new Error('PARSEC parameters must be numbers');
+    if (s.rLE <= 0 || s.xUp <= 0 || s.xUp >= 1 || s.xLo <= 0 || s.xLo >= 1) throw new Error('PARSEC crest positions must lie inside (0, 1) and rLE > 0');
+    const a1 = Math.sqrt(2 * s.rLE);
+    const alpha = s.alphaTE * Math.PI / 180;
+    const beta = s.betaTE * Math.PI / 180;
+    const upper = parsecSurface(a1, s.xUp, s.yUp, s.yxxUp, s.yTE + s.dyTE / 2, Math.tan(-alpha - beta / 2));
+    const lower = parsecSurface(-a1, s.xLo, s.yLo, s.yxxLo, s.yTE - s.dyTE / 2, Math.tan(-alpha + beta / 2));
+    return surfaceCoordinates(upper, lower, chord, n, options);
+}
+
+// Strip characters that cannot appear in any supported NACA designation.
+export function sanitizeNacaCode(code) {
+    return String(code == null ? '' : code).trim().replace(/[^0-9A-Za-z()\-_.,= ]/g, '');
+}
+
+// Camber (mean) lines of NACA designations as x -> { yc, dyc } on a unit chord
+// (x, yc as fractions of chord). Shared by the generators and aero estimates;
+// airfoilregistry.js picks the one matching a code.
+export function naca4MeanLine(code) {
+    const { m, p } = parseNACA(code);
+    return naca4CamberLine(m, p);
+}
+
+export function naca5MeanLine(code) {
+    return naca5CamberLine(parseNACA5(code));
+}
 
-    const shifted = coords.map(p => new THREE.Vector2(p.x - chord / 2, p.y));
-    return shifted;
+export function naca6MeanLine(code) {
+    const spec = parseNACA6(code);
+    if (!spec) throw new Error(`Invalid NACA 6-series code: ${code}`);
+    return naca6CamberLine(spec);
 }
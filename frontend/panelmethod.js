@@ -0,0 +1,151 @@
+// Inviscid 2D Hess-Smith panel method: constant-strength source panels plus a
+// uniform vortex distribution, closed with the Kutta condition (equal and
+// opposite tangential velocity on the two trailing-edge panels).
+// Accepts the generator layout from nacaprofile.js (upper LE -> TE, lower
+// TE -> LE, chord centered on x = 0) and a freestream of unit speed.
+
+// Reorder to the panel convention: lower TE -> LE -> upper TE (clockwise),
+// as [x, y] pairs with the leading edge at x = 0.
+export function toPanelNodes(points, chord = 1) {
+    const pts = points.map(p => [p.x + chord / 2, p.y]);
+    let te = 0;
+    for (let i = 1; i < pts.length; i++) if (pts[i][0] > pts[te][0]) te = i;
+    const ordered = pts.slice(te + 1).concat(pts.slice(0, te + 1));
+    return ordered.filter((p, i) => i === 0 || Math.hypot(p[0] - ordered[i - 1][0], p[1] - ordered[i - 1][1]) > 1e-12 * chord);
+}
+
+// Dense Gaussian elimination with partial pivoting (solves in place).
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    for (let k = 0; k < n; k++) {
+        let piv = k;
+        for (let i = k + 1; i < n; i++) if (Math.abs(A[i][k]) > Math.abs(A[piv][k])) piv = i;
+        [A[k], A[piv]] = [A[piv], A[k]];
+        [b[k], b[piv]] = [b[piv], b[k]];
+        for (let i = k + 1; i < n; i++) {
+            const f = A[i][k] / A[k][k];
+            if (f === 0) continue;
+            for (let j = k; j < n; j++) A[i][j] -= f * A[k][j];
+            b[i] -= f * b[k];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = b[i];
+        for (let j = i + 1; j < n; j++) sum -= A[i][j] * x[j];
+        x[i] = sum / A[i][i];
+    }
+    return x;
+}
+
+export function solvePanelMethod(points, alphaDeg = 0, chord = 1) {
+    return solvePanelNodes(toPanelNodes(points, chord), alphaDeg, chord);
+}
+
+// Solve directly on panel nodes (see toPanelNodes), e.g. a displacement body
+// built by the boundary-layer coupling in boundarylayer.js.
+export function solvePanelNodes(nodes, alphaDeg = 0, chord = 1) {
+    const N = nodes.length - 1;
+    if (N < 4) throw new Error('Panel method needs at least 4 panels');
+    const alpha = alphaDeg * Math.PI / 180;
+
+    const xm = [], ym = [], len = [], sinT = [], cosT = [], theta = [];
+    for (let j = 0; j < N; j++) {
+        const [x0, y0] = nodes[j];
+        const [x1, y1] = nodes[j + 1];
+        xm.push((x0 + x1) / 2);
+        ym.push((y0 + y1) / 2);
+        len.push(Math.hypot(x1 - x0, y1 - y0));
+        theta.push(Math.atan2(y1 - y0, x1 - x0));
+        sinT.push(Math.sin(theta[j]));
+        cosT.push(Math.cos(theta[j]));
+    }
+
+    // influence of panel j on control point i: log term and subtended angle
+    const lnR = [], beta = [];
+    for (let i = 0; i < N; i++) {
+        lnR.push(new Float64Array(N));
+        beta.push(new Float64Array(N));
+        for (let j = 0; j < N; j++) {
+            if (i === j) {
+                beta[i][j] = Math.PI;
+                continue;
+            }
+            const dx0 = xm[i] - nodes[j][0], dy0 = ym[i] - nodes[j][1];
+            const dx1 = xm[i] - nodes[j + 1][0], dy1 = ym[i] - nodes[j + 1][1];
+            lnR[i][j] = Math.log(Math.hypot(dx1, dy1) / Math.hypot(dx0, dy0));
+            beta[i][j] = Math.atan2(dx0 * dy1 - dy0 * dx1, dx1 * dx0 + dy1 * dy0);
+        }
+    }
+
+    // unknowns: N source strengths q_j and one vortex strength gamma
+    const A = [];
+    const b = [];
+    const twoPi = 2 * Math.PI;
+    for (let i = 0; i < N; i++) {
+        const row = new Array(N + 1).fill(0);
+        for (let j = 0; j < N; j++) {
+            const s = sinT[i] * cosT[j] - cosT[i] * sinT[j]; // sin(θi - θj)
+            const c = cosT[i] * cosT[j] + sinT[i] * sinT[j]; // cos(θi - θj)
+            row[j] = (s * lnR[i][j] + c * beta[i][j]) / twoPi;
+            row[N] += (c * lnR[i][j] - s * beta[i][j]) / twoPi;
+        }
+        A.push(row);
+        b.push(Math.sin(theta[i] - alpha));
+    }
+
+    // tangential velocity coefficients, reused for the Kutta row and for Cp
+    function tangentialRow(i) {
+        const row = new Array(N + 1).fill(0);
+        for (let j = 0; j < N; j++) {
+            const s = sinT[i] * cosT[j] - cosT[i] * sinT[j];
+            const c = cosT[i] * cosT[j] + sinT[i] * sinT[j];
+            row[j] = (s * beta[i][j] - c * lnR[i][j]) / twoPi;
+            row[N] += (s * lnR[i][j] + c * beta[i][j]) / twoPi;
+        }
+        return row;
+    }
+    const t0 = tangentialRow(0);
+    const tN = tangentialRow(N - 1);
+    A.push(t0.map((v, k) => v + tN[k]));
+    b.push(-Math.cos(theta[0] - alpha) - Math.cos(theta[N - 1] - alpha));
+
+    const sol = solveLinearSystem(A, b);
+    const gamma = sol[N];
+
+    // panels after the leading-edge node lie on the upper surface
+    let leNode = 0;
+    for (let k = 1; k < nodes.length; k++) if (nodes[k][0] < nodes[leNode][0]) leNode = k;
+
+    const cp = [];
+    let fx = 0, fy = 0, moment = 0;
+    const xRef = chord / 4;
+    for (let i = 0; i < N; i++) {
+        const row = tangentialRow(i);
+        let vt = Math.cos(theta[i] - alpha);
+        for (let k = 0; k <= N; k++) vt += row[k] * sol[k];
+        const cpi = 1 - vt * vt;
+        cp.push({ x: xm[i] / chord, y: ym[i] / chord, cp: cpi, vt, upper: i >= leNode, length: len[i] / chord });
+
+        // pressure force on the panel; outward normal for clockwise ordering is (-sin, cos)
+        const dfx = cpi * len[i] * sinT[i];
+        const dfy = -cpi * len[i] * cosT[i];
+        fx += dfx;
+        fy += dfy;
+        moment += (xm[i] - xRef) * dfy - ym[i] * dfx;
+    }
+
+    let perimeter = 0;
+    for (let j = 0; j < N; j++) perimeter += len[j];
+    const circulation = gamma * perimeter;
+
+    return {
+        cp,
+        cl: 2 * circulation / chord,                                   // Kutta-Joukowski
+        clPressure: (fy * Math.cos(alpha) - fx * Math.sin(alpha)) / chord,
+        cdPressure: (fx * Math.cos(alpha) + fy * Math.sin(alpha)) / chord, // ~0 for inviscid flow
+        cm: -moment / (chord * chord),                                 // about c/4, nose-up positive
+        panels: N,
+        nodes
+    };
+}
@@ -0,0 +1,351 @@
+import { isValidAirfoilCode, normalizeAirfoilCode } from './airfoilregistry.js';
+
+// Multi-panel wing planform as a list of spanwise stations
+//   { eta, chord, offset, twist, dihedral, sweep, airfoil }
+// eta       0 at the root, 1 at the tip
+// chord     multiple of the profile chord
+// offset    leading edge aft of the root leading edge, in profile chords
+// twist     incidence (°, nose up positive) about the twist axis (see below)
+// dihedral  angle (°) of the panel outboard of the station (see dihedralFrame)
+// sweep     sweep (°) of the panel outboard of the station at the sweep
+//           reference line; the offsets it produces add to `offset`
+// airfoil   optional airfoil code at the station ('' = root/tip blend)
+// Chord, offset and twist vary linearly between stations, so every panel is
+// a ruled surface with straight leading and trailing edges.
+export const PLANFORM_FIELDS = ['eta', 'chord', 'offset', 'twist', 'dihedral', 'sweep', 'airfoil'];
+
+const NUMERIC_FIELDS = PLANFORM_FIELDS.slice(0, 6);
+const DEFAULT_STATION = { eta: 0, chord: 1, offset: 0, twist: 0, dihedral: 0, sweep: 0, airfoil: '' };
+
+// One station from field values (numbers or strings, missing = default); throws on invalid input.
+export function makeStation(values) {
+    const station = Object.assign({}, DEFAULT_STATION);
+    NUMERIC_FIELDS.forEach((key) => {
+        const raw = values[key];
+        if (raw === undefined || raw === null || String(raw).trim() === '') return;
+        const v = typeof raw === 'number' ? raw : parseFloat(raw);
+        if (!Number.isFinite(v)) throw new Error(`invalid ${key}: ${String(raw).trim()}`);
+        station[key] = v;
+    });
+    if (station.eta < 0 || station.eta > 1) throw new Error(`position outside 0-1: ${station.eta}`);
+    if (station.chord <= 0) throw new Error(`chord must be positive: ${station.chord}`);
+    if (Math.abs(station.dihedral) >= 89) throw new Error(`dihedral out of range: ${station.dihedral}`);
+    if (Math.abs(station.sweep) >= 89) throw new Error(`sweep out of range: ${station.sweep}`);
+    const typed = String(values.airfoil || '').trim();
+    if (typed) {
+        const code = normalizeAirfoilCode(typed);
+        if (!isValidAirfoilCode(code)) throw new Error(`invalid airfoil: ${typed}`);
+        station.airfoil = code;
+    }
+    return station;
+}
+
+// URL form: "eta,chord,offset,twist,dihedral,sweep[,airfoil]; ..." The airfoil is the
+// last field, so codes containing a comma ("65-410, a=0.5") survive.
+// Invalid entries are skipped with a warning.
+export function parsePlanform(text) {
+    const out = [];
+    String(text || '').split(';').forEach((entry) => {
+        if (!entry.trim()) return;
+        const fields = entry.split(',');
+        const values = { airfoil: fields.slice(NUMERIC_FIELDS.length).join(',') };
+        NUMERIC_FIELDS.forEach((key, i) => { values[key] = fields[i]; });
+        try {
+            out.push(makeStation(values));
+        } catch (e) {
+            console.warn(`Ignoring planform station "${entry.trim()}": ${e.message}`);
+        }
+    });
+    return out.sort((a, b) => a.eta - b.eta);
+}
+
+export function planformToString(stations) {
+    return stations.map((st) => {
+        const fields = NUMERIC_FIELDS.map(key => String(Math.round(st[key] * 1e4) / 1e4));
+        if (st.airfoil) fields.push(st.airfoil);
+        return fields.join(',');
+    }).join('; ');
+}
+
+// Sorted stations covering 0..1: a later station at the same position replaces
+// an earlier one, and the first/last station is extended to the root/tip.
+export function completePlanform(stations) {
+    const sorted = stations.slice().sort((a, b) => a.eta - b.eta);
+    const out = [];
+    sorted.forEach((st) => {
+        if (out.length && Math.abs(out[out.length - 1].eta - st.eta) < 1e-9) out[out.length - 1] = st;
+        else out.push(st);
+    });
+    if (!out.length) out.push(Object.assign({}, DEFAULT_STATION));
+    if (out[0].eta > 0) out.unshift(Object.assign({}, out[0], { eta: 0, airfoil: '' }));
+    if (out[out.length - 1].eta < 1) out.push(Object.assign({}, out[out.length - 1], { eta: 1, airfoil: '' }));
+    return out;
+}
+
+// The single-break controls as a planform: constant-chord root panel up to the
+// break, then the chord factor reached linearly at the tip. Angles in radians;
+// the outer panel carries the dihedral and `sweepAngle`, the root panel `innerSweepAngle`.
+export function singleBreakPlanform(startPercent = 0.5, taperRatio = 1.0, sweepAngle = 0, dihedralAngle = 0, innerSweepAngle = 0) {
+    const start = Math.max(0, Math.min(1, startPercent));
+    const deg = rad => rad * 180 / Math.PI;
+    const outer = { dihedral: deg(dihedralAngle), sweep: deg(sweepAngle) };
+    return completePlanform([
+        makeStation(start > 0 ? { eta: 0, sweep: deg(innerSweepAngle) } : Object.assign({ eta: 0 }, outer)),
+        makeStation(Object.assign({ eta: start }, outer)),
+        makeStation(Object.assign({ eta: 1, chord: taperRatio }, outer))
+    ]);
+}
+
+// --- Sweep ---
+// Chord fraction of each sweep reference line.
+export const SWEEP_REFERENCES = { le: 0, quarter: 0.25, te: 1 };
+
+// Stations with the sweep folded into their offsets: along every panel the
+// reference line runs at the panel's sweep angle. `spanChords` is the root-to-tip
+// distance in profile chords; `stations` must be complete.
+export function applySweep(stations, reference = 'le', spanChords = 1) {
+    const r = SWEEP_REFERENCES[reference] !== undefined ? SWEEP_REFERENCES[reference] : 0;
+    let shift = 0;
+    return stations.map((st, k) => {
+        if (k > 0) {
+            const a = stations[k - 1];
+            shift += r * (a.chord - st.chord) + Math.tan(a.sweep * Math.PI / 180) * (st.eta - a.eta) * spanChords;
+        }
+        return Object.assign({}, st, { offset: st.offset + shift });
+    });
+}
+
+// Outer-panel leading-edge sweep (radians) that reproduces the chord-unit `shift`
+// of links from before sweep angles: the tip's mid-chord moved aft by `shift`
+// chords, with the taper about mid-chord. null when there is no outer panel.
+export function legacyShiftSweep(shift, startPercent = 0.5, taperRatio = 1, spanChords = 1) {
+    const length = (1 - Math.max(0, Math.min(1, startPercent))) * spanChords;
+    if (!(length > 0)) return null;
+    return Math.atan((shift + (1 - taperRatio) / 2) / length);
+}
+
+// Resulting sweep (°) of every panel at the leading edge, quarter chord and
+// trailing edge, from stations with their final offsets (see applySweep).
+export function panelSweeps(stations, spanChords = 1) {
+    const out = [];
+    for (let k = 0; k < stations.length - 1; k++) {
+        const a = stations[k];
+        const b = stations[k + 1];
+        const dz = (b.eta - a.eta) * spanChords;
+        if (dz <= 0) continue;
+        const at = r => Math.atan2(b.offset + r * b.chord - a.offset - r * a.chord, dz) * 180 / Math.PI;
+        out.push({ from: a.eta, to: b.eta, le: at(0), quarter: at(0.25), te: at(1) });
+    }
+    return out;
+}
+
+// Spanwise slice positions: `slices` even steps plus every station (and any
+// `extra` positions, e.g. control surface edges), so panel breaks always fall on a slice.
+export function planformEtas(stations, slices, extra = []) {
+    const etas = extra.slice();
+    for (let s = 0; s < slices; s++) etas.push(slices === 1 ? 0 : s / (slices - 1));
+    stations.forEach(st => etas.push(st.eta));
+    etas.sort((a, b) => a - b);
+    return etas.filter((eta, i) => i === 0 || eta - etas[i - 1] > 1e-6);
+}
+
+// Chord, offset and twist at eta. `stations` must be complete.
+export function planformAt(stations, eta) {
+    let k = 0;
+    while (k < stations.length - 2 && stations[k + 1].eta < eta) k++;
+    const a = stations[k];
+    const b = stations[k + 1] || a;
+    const t = b.eta > a.eta ? Math.max(0, Math.min(1, (eta - a.eta) / (b.eta - a.eta))) : 0;
+    const lerp = key => a[key] + (b[key] - a[key]) * t;
+    return { chord: lerp('chord'), offset: lerp('offset'), twist: lerp('twist') };
+}
+
+// --- Dihedral ---
+// Every panel is a straight segment of its length (eta difference × span)
+// rotated up by its dihedral, so negative inner panels give gull wings and
+// several breaks polyhedral ones. Returns the section's position at eta as
+// multiples of the span (y up, z outboard from the root) and the orientation
+// of its plane: perpendicular to the local panel, and at a break the bisector
+// of both panels with `mitre` = cos(half the kink) to keep the skin continuous.
+export function dihedralFrame(stations, eta) {
+    const rad = st => st.dihedral * Math.PI / 180;
+    let y = 0, z = 0, k = 0;
+    while (k < stations.length - 2 && stations[k + 1].eta < eta) {
+        const d = stations[k + 1].eta - stations[k].eta;
+        y += Math.sin(rad(stations[k])) * d;
+        z += Math.cos(rad(stations[k])) * d;
+        k++;
+    }
+    const d = Math.max(0, eta - stations[k].eta);
+    y += Math.sin(rad(stations[k])) * d;
+    z += Math.cos(rad(stations[k])) * d;
+    const next = stations[k + 1];
+    if (next && k + 1 < stations.length - 1 && Math.abs(next.eta - eta) < 1e-9) {
+        const inner = rad(stations[k]);
+        const outer = rad(next);
+        return { y, z, angle: (inner + outer) / 2, mitre: Math.cos((outer - inner) / 2) };
+    }
+    return { y, z, angle: rad(stations[k]), mitre: 1 };
+}
+
+// Dihedral break stations "eta:deg; ..." (deg applies outboard of eta up to the
+// next break). Invalid entries are skipped with a warning.
+export function parseDihedralBreaks(text) {
+    const out = [];
+    String(text || '').split(';').forEach((entry) => {
+        if (!entry.trim()) return;
+        const m = entry.trim().match(/^([\d.]+)\s*:\s*(-?[\d.]+)$/);
+        const eta = m ? parseFloat(m[1]) : NaN;
+        const deg = m ? parseFloat(m[2]) : NaN;
+        if (!(eta >= 0 && eta < 1) || !(Math.abs(deg) < 89)) {
+            console.warn(`Ignoring dihedral break: ${entry.trim()}`);
+            return;
+        }
+        out.push({ eta, deg });
+    });
+    return out.sort((a, b) => a.eta - b.eta);
+}
+
+// Complete stations (before applySweep) split at the breaks, each panel outboard
+// of a break taking its dihedral; panels inboard of the first break keep theirs.
+export function applyDihedralBreaks(stations, breaks) {
+    if (!breaks.length) return stations;
+    const out = stations.map(st => Object.assign({}, st));
+    breaks.forEach((br) => {
+        if (out.some(st => Math.abs(st.eta - br.eta) < 1e-9)) return;
+        let k = 0;
+        while (k < out.length - 2 && out[k + 1].eta < br.eta) k++;
+        out.splice(k + 1, 0, Object.assign({}, out[k], planformAt(out, br.eta), { eta: br.eta, airfoil: '' }));
+    });
+    out.forEach((st) => {
+        const active = breaks.filter(br => br.eta <= st.eta + 1e-9);
+        if (active.length) st.dihedral = active[active.length - 1].deg;
+    });
+    return out;
+}
+
+// --- Twist distribution (washout) ---
+// Incidence from the root value at eta = 0 to the tip value at eta = 1, either
+// linear or through custom "eta:deg; ..." points; added to the twist column of
+// the planform. Sections rotate about a chordwise axis given as a chord fraction.
+export const TWIST_MODES = ['linear', 'custom'];
+export const TWIST_AXES = [0, 0.25, 0.5, 1];
+export const TWIST_DEFAULTS = { rootIncidence: 0, tipIncidence: 0, twistMode: 'linear', twistStations: '', twistAxis: 0.25 };
+
+export function parseTwistStations(text) {
+    const out = [];
+    String(text || '').split(';').forEach((entry) => {
+        if (!entry.trim()) return;
+        const m = entry.trim().match(/^([\d.]+)\s*:\s*(-?[\d.]+)$/);
+        const eta = m ? parseFloat(m[1]) : NaN;
+        const deg = m ? parseFloat(m[2]) : NaN;
+        if (!(eta > 0 && eta < 1) || !Number.isFinite(deg)) {
+            console.warn(`Ignoring twist station: ${entry.trim()}`);
+            return;
+        }
+        out.push({ eta, deg });
+    });
+    return out.sort((a, b) => a.eta - b.eta);
+}
+
+// incidence (°) as a function of eta for the given twist settings
+export function twistDistribution(twist) {
+    const o = Object.assign({}, TWIST_DEFAULTS, twist);
+    const points = [{ eta: 0, deg: o.rootIncidence }, ...(o.twistMode === 'custom' ? parseTwistStations(o.twistStations) : []), { eta: 1, deg: o.tipIncidence }];
+    return (eta) => {
+        let k = 0;
+        while (k < points.length - 2 && points[k + 1].eta < eta) k++;
+        const a = points[k];
+        const b = points[k + 1];
+        const t = b.eta > a.eta ? Math.max(0, Math.min(1, (eta - a.eta) / (b.eta - a.eta))) : 0;
+        return a.deg + (b.deg - a.deg) * t;
+    };
+}
+
+// --- Chord distribution ---
+// 'planform'    chords of the stations, linear between them
+// 'elliptical'  c(eta) = c0·sqrt(1 - eta²), same area as the planform
+// 'schrenk'     mean of the planform chord and that ellipse (Schrenk's approximation)
+// 'custom'      smooth curve through "eta:ratio; ..." points, ratio = chord / planform root chord
+// The chord changes about the sweep reference line, so e.g. an elliptical wing
+// swept at c/4 keeps a straight quarter-chord line.
+export const CHORD_DISTRIBUTIONS = ['planform', 'elliptical', 'schrenk', 'custom'];
+export const CHORD_CURVE_DEFAULT = '0:1; 0.5:0.9; 0.8:0.7; 1:0.3';
+// tip chord floor (profile chords): an ellipse closes to zero at the tip
+const MIN_CHORD = 0.02;
+
+// Curve points as [{ eta, ratio }] with the root and tip always present
+// (missing ends continue the nearest point). Invalid entries are skipped with a warning.
+export function parseChordCurve(text) {
+    const out = [];
+    String(text || '').split(';').forEach((entry) => {
+        if (!entry.trim()) return;
+        const m = entry.trim().match(/^([\d.]+)\s*:\s*([\d.]+)$/);
+        const eta = m ? parseFloat(m[1]) : NaN;
+        const ratio = m ? parseFloat(m[2]) : NaN;
+        if (!(eta >= 0 && eta <= 1) || !(ratio > 0)) {
+            console.warn(`Ignoring chord curve point: ${entry.trim()}`);
+            return;
+        }
+        out.push({ eta, ratio });
+    });
+    out.sort((a, b) => a.eta - b.eta);
+    if (!out.length) out.push({ eta: 0, ratio: 1 });
+    if (out[0].eta > 0) out.unshift({ eta: 0, ratio: out[0].ratio });
+    if (out[out.length - 1].eta < 1) out.push({ eta: 1, ratio: out[out.length - 1].ratio });
+    return out;
+}
+
+export function chordCurveToString(points) {
+    return points.map(p => `${Math.round(p.eta * 1e3) / 1e3}:${Math.round(p.ratio * 1e3) / 1e3}`).join('; ');
+}
+
+// Monotone cubic (Fritsch-Carlson) through the points: smooth, without
+// overshooting between control points.
+export function chordCurveFunction(points) {
+    const n = points.length;
+    if (n < 2) return () => (n ? points[0].ratio : 1);
+    const h = [], d = [];
+    for (let k = 0; k < n - 1; k++) {
+        h.push(points[k + 1].eta - points[k].eta || 1e-9);
+        d.push((points[k + 1].ratio - points[k].ratio) / h[k]);
+    }
+    const m = points.map((p, k) => {
+        if (k === 0) return d[0];
+        if (k === n - 1) return d[n - 2];
+        return d[k - 1] * d[k] <= 0 ? 0 : 3 * (h[k - 1] + h[k]) / ((2 * h[k] + h[k - 1]) / d[k - 1] + (h[k] + 2 * h[k - 1]) / d[k]);
+    });
+    return (eta) => {
+        let k = 0;
+        while (k < n - 2 && points[k + 1].eta < eta) k++;
+        const t = Math.max(0, Math.min(1, (eta - points[k].eta) / h[k]));
+        const t2 = t * t, t3 = t2 * t;
+        return (2 * t3 - 3 * t2 + 1) * points[k].ratio + (t3 - 2 * t2 + t) * h[k] * m[k]
+            + (-2 * t3 + 3 * t2) * points[k + 1].ratio + (t3 - t2) * h[k] * m[k + 1];
+    };
+}
+
+// Chord (profile chords) and leading-edge offset as functions of eta for the
+// given distribution; `stations` must be complete, with their final offsets.
+export function chordDistribution(stations, mode = 'planform', curve = CHORD_CURVE_DEFAULT, reference = 'le') {
+    const linear = eta => planformAt(stations, eta).chord;
+    let chord = linear;
+    if (mode === 'elliptical' || mode === 'schrenk') {
+        // root chord of the ellipse with the planform's area: ∫ c0·sqrt(1 - eta²) = c0·π/4
+        let area = 0;
+        for (let k = 0; k < stations.length - 1; k++) area += (stations[k + 1].eta - stations[k].eta) * (stations[k].chord + stations[k + 1].chord) / 2;
+        const ellipse = eta => 4 * area / Math.PI * Math.sqrt(Math.max(0, 1 - eta * eta));
+        chord = mode === 'elliptical' ? eta => Math.max(MIN_CHORD, ellipse(eta)) : eta => (linear(eta) + ellipse(eta)) / 2;
+    } else if (mode === 'custom') {
+        const ratio = chordCurveFunction(parseChordCurve(curve));
+        chord = eta => stations[0].chord * ratio(eta);
+    }
+    const r = SWEEP_REFERENCES[reference] !== undefined ? SWEEP_REFERENCES[reference] : 0;
+    return {
+        chord,
+        offset: (eta) => {
+            const st = planformAt(stations, eta);
+            return st.offset + r * (st.chord - chord(eta));
+        }
+    };
+}
@@ -0,0 +1,35 @@
+// Thin-airfoil theory estimates from a camber line x -> { yc, dyc } on a unit
+// chord (see the NACA mean lines in nacaprofile.js). Uses the Glauert substitution
+// x = (1 - cos θ) / 2 with midpoint integration, which avoids the logarithmic
+// slope singularities of the a-series mean lines at the leading/trailing edge.
+export function thinAirfoilEstimates(camber, samples = 2000) {
+    let i0 = 0; // ∫ dyc dθ
+    let i1 = 0; // ∫ dyc cos θ dθ
+    let i2 = 0; // ∫ dyc cos 2θ dθ
+    const dTheta = Math.PI / samples;
+    for (let k = 0; k < samples; k++) {
+        const theta = (k + 0.5) * dTheta;
+        const x = (1 - Math.cos(theta)) / 2;
+        const dyc = camber(x).dyc;
+        i0 += dyc * dTheta;
+        i1 += dyc * Math.cos(theta) * dTheta;
+        i2 += dyc * Math.cos(2 * theta) * dTheta;
+    }
+
+    const A1 = 2 / Math.PI * i1;
+    const A2 = 2 / Math.PI * i2;
+    const alphaL0 = -(i1 - i0) / Math.PI;   // -(1/π) ∫ dyc (cos θ - 1) dθ
+    const alphaIdeal = i0 / Math.PI;        // angle of attack where A0 = 0
+    const clAlpha = 2 * Math.PI;            // per radian
+    const rad = 180 / Math.PI;
+
+    return {
+        alphaL0: alphaL0 * rad,             // degrees
+        clAlpha,                            // per radian
+        clAlphaDeg: clAlpha / rad,          // per degree
+        alphaIdeal: alphaIdeal * rad,       // degrees
+        clIdeal: Math.PI * A1,              // lift coefficient at the ideal angle
+        cmQuarter: Math.PI / 4 * (A2 - A1), // about c/4, independent of alpha
+        cl: alphaDeg => clAlpha * (alphaDeg / rad - alphaL0)
+    };
+}
@@ -1,77 +1,322 @@
 import * as THREE from 'three';
-import { naca4Coordinates, naca5Coordinates } from './nacaprofile.js';
+import { airfoilCoordinates, isValidAirfoilCode, normalizeAirfoilCode, profileSource, sourceCoordinates } from './airfoilregistry.js';
+import { highLiftElementCount, highLiftElements } from './highlift.js';
+import { computeAirfoilProperties } from './airfoilprops.js';
+import { TIP_DEFAULTS, wingtipRings, wingtipSettings } from './wingtip.js';
+import { geometryMetrics, planformMetrics } from './wingmetrics.js';
+import {
+    CHORD_CURVE_DEFAULT, CHORD_DISTRIBUTIONS, SWEEP_REFERENCES, TWIST_DEFAULTS, TWIST_MODES,
+    applyDihedralBreaks, applySweep, chordCurveFunction, chordCurveToString, chordDistribution, completePlanform, dihedralFrame,
+    makeStation, panelSweeps, parseChordCurve, parseDihedralBreaks, parsePlanform, planformAt, planformEtas, planformToString,
+    singleBreakPlanform, twistDistribution
+} from './planform.js';
+import { createCurveEditor } from './curveeditor.js';
+import {
+    CONTROL_SURFACE_DEFAULT, MAX_DEFLECTION, controlSurfacesToString, hingeCut, makeControlSurface,
+    parseControlSurfaces, surfaceDeflection, withoutOverlaps
+} from './controlsurfaces.js';
 
-export function addSpanMorphUI(params, foil, coordsFunc = null, options = {}) {
+// Intermediate airfoil stations are written as "eta:code" pairs separated by ';'
+// (eta = 0 at the root, 1 at the tip), e.g. "0.4:2412; 0.8:0010".
+// Invalid entries are skipped with a warning.
+export function parseAirfoilStations(text) {
+    const out = [];
+    String(text || '').split(';').forEach((entry) => {
+        const m = entry.trim().match(/^([\d.]+)\s*:\s*(.+)$/);
+        if (!entry.trim()) return;
+        const eta = m ? parseFloat(m[1]) : NaN;
+        const code = m ? normalizeAirfoilCode(m[2]) : '';
+        if (Number.isNaN(eta) || eta < 0 || eta > 1 || !isValidAirfoilCode(code)) {
+            console.warn(`Ignoring airfoil station: ${entry.trim()}`);
+            return;
+        }
+        out.push({ eta, code });
+    });
+    return out.sort((a, b) => a.eta - b.eta);
+}
+
+// The two surfaces of a closed contour as index ranges: `first` runs on from the
+// leading edge in contour order to the trailing edge (max x), `second`
+// from there back to the leading edge. A steep segment on one side of an end
+// (an open trailing edge, the cut front of a main element or flap) is the gap
+// between the surfaces and each keeps its own end point; otherwise (a round
+// nose, a sharp edge) both share it.
+function contourSurfaces(points) {
+    const n = points.length;
+    let le = 0, te = 0;
+    points.forEach((p, j) => { if (p.x > points[te].x) te = j; });
+    // the leading edge is taken as the point farthest from the trailing edge:
+    // the min-x point moves round a cambered nose with the point spacing
+    const fromTe = p => Math.hypot(p.x - points[te].x, p.y - points[te].y);
+    points.forEach((p, j) => { if (fromTe(p) > fromTe(points[le])) le = j; });
+    // next point in direction dir that does not coincide with point j
+    const neighbour = (j, dir) => {
+        let k = (j + dir + n) % n;
+        while (k !== j && Math.hypot(points[k].x - points[j].x, points[k].y - points[j].y) < 1e-12) k = (k + dir + n) % n;
+        return k;
+    };
+    const steep = (j, k) => Math.abs(points[k].x - points[j].x) < Math.abs(points[k].y - points[j].y);
+    // [last point of the surface arriving at end e, first point of the one leaving it]
+    const ends = (e) => {
+        const prev = neighbour(e, -1);
+        const next = neighbour(e, 1);
+        if (steep(prev, e) && !steep(e, next)) return [prev, e];
+        if (steep(e, next) && !steep(prev, e)) return [e, next];
+        return [e, e];
+    };
+    const [secondEnd, firstStart] = ends(le);
+    const [firstEnd, secondStart] = ends(te);
+    return { first: [firstStart, firstEnd], second: [secondStart, secondEnd] };
+}
+
+// Resample a closed contour onto the point layout of `reference`: each reference
+// point is taken to the same chordwise fraction of the same surface (see
+// contourSurfaces), so leading and trailing edges stay on each other whatever
+// the point counts and spacings of the two contours. The fraction is the x
+// travelled along the surface, which keeps growing where x turns back round a
+// cambered nose.
+function resampleContour(points, reference) {
+    // indices of a surface in contour order and their normalised chordwise travel
+    const along = (pts, [from, to]) => {
+        const idx = [from];
+        for (let j = from; j !== to; j = (j + 1) % pts.length) idx.push((j + 1) % pts.length);
+        const s = [0];
+        for (let i = 1; i < idx.length; i++) s.push(s[i - 1] + Math.abs(pts[idx[i]].x - pts[idx[i - 1]].x));
+        const total = s[s.length - 1] || 1;
+        return { idx, s: s.map(v => v / total) };
+    };
+    const ref = contourSurfaces(reference);
+    const src = contourSurfaces(points);
+    const out = new Array(reference.length);
+    ['first', 'second'].forEach((key) => {
+        const r = along(reference, ref[key]);
+        const { idx, s } = along(points, src[key]);
+        let k = 1;
+        r.idx.forEach((j, i) => {
+            // a point shared by both surfaces (leading or trailing edge) is set by the first
+            if (out[j]) return;
+            while (k < s.length - 1 && s[k] < r.s[i]) k++;
+            const a = points[idx[k - 1]];
+            const b = points[idx[Math.min(k, idx.length - 1)]];
+            const w = s[k] > s[k - 1] ? Math.max(0, Math.min(1, (r.s[i] - s[k - 1]) / (s[k] - s[k - 1]))) : 0;
+            out[j] = new THREE.Vector2(a.x + (b.x - a.x) * w, a.y + (b.y - a.y) * w);
+        });
+    });
+    return out;
+}
+
+export function addSpanMorphUI(params, foil, options = {}) {
     let currentFoil = foil;
     const { appendPanel = true } = options;
-    // Optional initial span morph values (start percent 0-1, factor, slices, shift, dihedral radians)
+    // Optional initial span morph values (start percent 0-1, taper ratio, slices, outer/inner sweep and dihedral radians)
     const initStart = (typeof options.startPercent === 'number') ? options.startPercent : 0.5;
-    const initFactor = (typeof options.thicknessFactor === 'number') ? options.thicknessFactor : 1.0;
+    const initTaper = (typeof options.taperRatio === 'number') ? options.taperRatio : 1.0;
     const initSlices = (typeof options.slices === 'number') ? options.slices : 40;
-    const initShift = (typeof options.shiftAmount === 'number') ? options.shiftAmount : 0;
+    const initSweep = (typeof options.sweepAngle === 'number') ? options.sweepAngle : 0;
+    const initInnerSweep = (typeof options.innerSweepAngle === 'number') ? options.innerSweepAngle : 0;
+    const initSweepReference = SWEEP_REFERENCES[options.sweepReference] !== undefined ? options.sweepReference : 'le';
     const initDihedral = (typeof options.dihedralAngle === 'number') ? options.dihedralAngle : 0;
+    // Optional dihedral breaks ("eta:deg; ..."), applied over the planform's panel dihedrals (gull / polyhedral)
+    const initDihedralBreaks = options.dihedralBreaks || '';
+    // Optional root/tip airfoil codes and intermediate stations (empty root = main profile, empty tip = root)
+    const initRootAirfoil = options.rootAirfoil || '';
+    const initTipAirfoil = options.tipAirfoil || '';
+    const initStations = options.airfoilStations || '';
+    // Optional planform table ("eta,chord,offset,twist,dihedral[,airfoil]; ..."); when it has
+    // stations it defines the planform and the single-break controls are not used
+    const initPlanform = parsePlanform(options.planform);
+    // Optional root/tip thickness-to-chord ratio (%), null = the profile's own
+    const initRootThickness = (typeof options.rootThickness === 'number') ? options.rootThickness : null;
+    const initTipThickness = (typeof options.tipThickness === 'number') ? options.tipThickness : null;
+    // Optional twist: root/tip incidence (°), 'linear' or 'custom' ("eta:deg; ...") and axis (chord fraction)
+    const initTwist = Object.assign({}, TWIST_DEFAULTS);
+    Object.keys(TWIST_DEFAULTS).forEach((key) => { if (options[key] !== undefined) initTwist[key] = options[key]; });
+    // Optional wingtip treatment ({ tipShape, ... }, see wingtip.js)
+    const initWingtip = wingtipSettings(options.wingtip);
+    // Optional chord distribution ('planform', 'elliptical', 'schrenk', 'custom') and custom curve ("eta:ratio; ...")
+    const initChordDistribution = CHORD_DISTRIBUTIONS.includes(options.chordDistribution) ? options.chordDistribution : 'planform';
+    const initChordCurve = chordCurveToString(parseChordCurve(options.chordCurve || CHORD_CURVE_DEFAULT));
+    // Optional control surfaces ("type,from,to,hinge,deflection; ...", see controlsurfaces.js);
+    // `mirrored` marks the controller of a mirrored wing, whose ailerons deflect opposite
+    const initControlSurfaces = parseControlSurfaces(options.controlSurfaces);
+    const { onChange = null, mirrored = false } = options;
 
     // --- Span Morph Geometry ---
-    function createSpanMorphGeometry(startPercent = 0.5, thicknessFactor = 1.0, slices = 40, shiftAmount = 0, dihedralAngle = 0) {
-        // choose generator based on current params.naca length; prefer 5-digit if available
-        const use5 = String(params.naca).replace(/\D/g, '').length === 5;
-        let shape2D = use5 ? naca5Coordinates(params.naca, params.chord, params.points) : naca4Coordinates(params.naca, params.chord, params.points);
-
-        if (shape2D.length > 1) {
-            const first = shape2D[0];
-            const last = shape2D[shape2D.length - 1];
-            if (Math.abs(first.x - last.x) < 1e-9 && Math.abs(first.y - last.y) < 1e-9) {
-                shape2D = shape2D.slice(0, -1);
-            }
-        }
+    function createSpanMorphGeometry(startPercent = 0.5, taperRatio = 1.0, slices = 40, sweepAngle = 0, dihedralAngle = 0) {
+        // each span station holds one contour per element (slat, main, flap),
+        // brought to the root's point layout by matchContours so the slices can
+        // blend the stations point by point
+        const stations = currentPlanform(startPercent, taperRatio, sweepAngle, dihedralAngle);
+        lastPlanform = stations;
+        updateSweepReadout(stations);
+        const sections = airfoilSections(stations);
+        const twist = readTwist();
+        const incidence = twistDistribution(twist);
+        const thickness = thicknessDistribution(sections);
+        const distribution = chordDistribution(stations, chordDistributionSelect.value, chordCurve, sweepReferenceSelect.value);
+        const elementCount = sections[0].elements.length;
+        const surfaces = readControlSurfaces();
 
-        const N = shape2D.length;
         const span = params.depth * params.scale;
         const half = span / 2;
-        const startZ = -half + Math.max(0, Math.min(1, startPercent)) * span;
-        const denom = half - startZ;
 
-        const vertCount = slices * N + 2;
-        const positions = new Float32Array(vertCount * 3);
-        let pi = 0;
+        // per-slice placement, shared by all elements
+        const surfaceEdges = [].concat(...surfaces.map(cs => [cs.from, cs.to]));
+        const sliceFrames = planformEtas(stations, slices, surfaceEdges).map((eta) => {
+            // airfoil blend between the two stations bracketing this slice
+            let k = 0;
+            while (k < sections.length - 2 && sections[k + 1].eta < eta) k++;
+            const a = k;
+            const b = Math.min(k + 1, sections.length - 1);
+            const w = sections[b].eta > sections[a].eta ? Math.max(0, Math.min(1, (eta - sections[a].eta) / (sections[b].eta - sections[a].eta))) : 0;
 
-        const maxShiftAbs = shiftAmount * params.chord * params.scale;
-        const dihedralTan = Math.tan(dihedralAngle);
+            // twist from the planform, chord and leading-edge offset from the chord distribution,
+            // position and section plane from the rotated dihedral panels; the washout
+            // distribution adds to the station twist (nose up positive)
+            const st = planformAt(stations, eta);
+            const chord = distribution.chord(eta);
+            const angle = -(st.twist + incidence(eta)) * Math.PI / 180;
+            const dh = dihedralFrame(stations, eta);
+            return {
+                eta, a, b, w,
+                y: dh.y * span, z: -half + dh.z * span,
+                // section normal (y, z) in the panel's cross plane, stretched by the mitre at breaks
+                up: [Math.cos(dh.angle) / dh.mitre, -Math.sin(dh.angle) / dh.mitre],
+                chord,
+                offset: distribution.offset(eta),
+                thicknessScale: thickness(eta, sections[a].tc + (sections[b].tc - sections[a].tc) * w),
+                leadingEdge: (distribution.offset(eta) - 0.5) * params.chord,
+                pivot: twist.twistAxis * params.chord * chord,
+                cos: Math.cos(angle), sin: Math.sin(angle)
+            };
+        });
+        const sliceCount = sliceFrames.length;
+        // the chords actually built, for the metrics (linear between slices)
+        lastSlices = sliceFrames.map(f => ({ eta: f.eta, chord: f.chord, offset: f.offset }));
 
-        for (let s = 0; s < slices; s++) {
-            const alpha = slices === 1 ? 0 : s / (slices - 1);
-            const z = -half + alpha * span;
+        // wingtip treatment: extra rings past the last slice; a winglet only continues
+        // the main element (the longest one), slat and flap keep their flat tip caps
+        const tipSettings = readWingtip();
+        const tipFrame = sliceFrames[sliceCount - 1];
+        const tipElements = sections[sections.length - 1].elements;
+        const extent = el => Math.max(...el.map(p => p.x)) - Math.min(...el.map(p => p.x));
+        let mainElement = 0;
+        for (let e = 1; e < elementCount; e++) if (extent(tipElements[e]) > extent(tipElements[mainElement])) mainElement = e;
+        // the tip rings are built in the tip section's frame and placed along the outer panel
+        const outerDihedral = stations[stations.length - 2].dihedral * Math.PI / 180;
+        const along = [Math.sin(outerDihedral), Math.cos(outerDihedral)];
+        const beforeTip = sliceFrames[sliceCount - 2];
+        const trailingEdge = f => (f.offset + f.chord - 0.5) * params.chord * params.scale;
+        const tip = {
+            z: 0,
+            height: 0,
+            semiSpan: span,
+            teSlope: (trailingEdge(tipFrame) - trailingEdge(beforeTip)) / (((tipFrame.eta - beforeTip.eta) * span) || 1),
+            winglet: null
+        };
+        // (x, v) in a slice frame's section plane, s along the outer panel -> world
+        const place = (f, x, v, s = 0) => [x, f.y + v * f.up[0] + s * along[0], f.z + v * f.up[1] + s * along[1]];
 
-            // Dihedral t değeri sadece startZ'den sonra
-            const t = (z <= startZ) ? 0 : (denom <= 0 ? 1 : Math.max(0, Math.min(1, (z - startZ) / denom)));
-            const localScale = 1 + (thicknessFactor - 1) * t;
-            const shift = t * maxShiftAbs;
+        // (blended profile point) -> (x, v) in the slice's section plane:
+        // scale about the leading edge (thickness separately), then twist about the axis
+        const toSection = (f, p) => {
+            const u = (p.x + params.chord / 2) * f.chord - f.pivot;
+            const v = p.y * f.chord * f.thicknessScale;
+            const x = f.leadingEdge + f.pivot + u * f.cos - v * f.sin;
+            const y = u * f.sin + v * f.cos;
+            return [x * params.scale, y * params.scale];
+        };
+        const framesBetween = (lo, hi) => sliceFrames.filter(f => f.eta >= lo - 1e-9 && f.eta <= hi + 1e-9);
 
-            // Dihedral offset sadece t > 0 iken
-            const dihedralOffset = t * dihedralTan * (z - startZ);
+        const positions = [];
+        const indices = [];
+        const surfaceParts = [];
+        for (let e = 0; e < elementCount; e++) {
+            const shapes = matchContours(sections.map(sec => sec.elements[e]));
+            const blended = f => shapes[f.a].map((pa, j) => {
+                const pb = shapes[f.b][j];
+                return { x: pa.x + (pb.x - pa.x) * f.w, y: pa.y + (pb.y - pa.y) * f.w };
+            });
+            const toWorld = frames => rings => rings.map((ring, i) => ring.map(p => place(frames[i], p[0], p[1])));
 
-            for (let j = 0; j < N; j++) {
-                const p = shape2D[j];
-                const x = p.x * params.scale * localScale + shift;
-                const y = p.y * params.scale * localScale + dihedralOffset;
-                positions[pi++] = x;
-                positions[pi++] = y;
-                positions[pi++] = z;
+            // the main element is split spanwise at the control surface edges; along a
+            // surface its fixed part and the surface itself are separate closed tubes
+            const spans = [];
+            if (e === mainElement && surfaces.length) {
+                let eta = 0;
+                surfaces.forEach((cs) => {
+                    if (cs.from > eta) spans.push({ from: eta, to: cs.from, surface: null });
+                    spans.push({ from: cs.from, to: cs.to, surface: cs });
+                    eta = cs.to;
+                });
+                if (eta < 1) spans.push({ from: eta, to: 1, surface: null });
+            } else {
+                spans.push({ from: 0, to: 1, surface: null });
             }
+
+            spans.forEach((part) => {
+                const frames = framesBetween(part.from, part.to);
+                let rings;
+                if (part.surface) {
+                    const cuts = frames.map(f => hingeCut(blended(f), part.surface.hinge));
+                    rings = cuts.map((cut, i) => cut.fixed.map(p => toSection(frames[i], p)));
+                    const moving = cuts.map((cut, i) => cut.moving.map(p => toSection(frames[i], p)));
+                    const hingeAt = i => place(frames[i], ...toSection(frames[i], cuts[i].hingePoint));
+                    surfaceParts.push({ surface: part.surface, rings: toWorld(frames)(moving), hinge: [hingeAt(0), hingeAt(frames.length - 1)] });
+                } else {
+                    rings = frames.map(f => blended(f).map(p => toSection(f, p)));
+                }
+
+                let tipRings = [];
+                if (part.to >= 1 && (tipSettings.tipShape !== 'winglet' || e === mainElement)) {
+                    // a winglet airfoil only matches the full section point for point
+                    if (tipSettings.tipShape === 'winglet') tip.winglet = part.surface ? null : wingletSection(tipSettings.wingletAirfoil, tipFrame, blended(tipFrame));
+                    tipRings = wingtipRings(rings[rings.length - 1], tip, tipSettings);
+                }
+                appendTube(positions, indices, toWorld(frames)(rings).concat(tipRings.map(ring => ring.map(p => place(tipFrame, p[0], p[1], p[2])))));
+            });
         }
 
-        // root center
-        positions[pi++] = 0; positions[pi++] = 0; positions[pi++] = -half;
-        const rootCenterIndex = slices * N;
+        const geom = new THREE.BufferGeometry();
+        geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+        geom.setIndex(indices);
+        geom.computeVertexNormals();
+
+        // control surfaces: geometry relative to the root end of their hinge line, placed and
+        // rotated about it by updateControlSurfaces
+        const controlParts = surfaceParts.map((part) => {
+            const [a, b] = part.hinge;
+            const surfacePositions = [];
+            const surfaceIndices = [];
+            appendTube(surfacePositions, surfaceIndices, part.rings.map(ring => ring.map(p => [p[0] - a[0], p[1] - a[1], p[2] - a[2]])));
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(surfacePositions), 3));
+            geometry.setIndex(surfaceIndices);
+            geometry.computeVertexNormals();
+            const axis = new THREE.Vector3(b[0] - a[0], b[1] - a[1], b[2] - a[2]).normalize();
+            return { surface: part.surface, geometry, pivot: new THREE.Vector3(...a), axis };
+        });
+        return { geometry: geom, controlParts };
+    }
+
+    // Closed tube through the rings (equal point counts), capped at both ends by a
+    // fan from the mean of the first / last ring.
+    function appendTube(positions, indices, rings) {
+        const N = rings[0].length;
+        const offset = positions.length / 3;
+        rings.forEach(ring => ring.forEach(p => positions.push(p[0], p[1], p[2])));
 
-        // tip center
-        positions[pi++] = maxShiftAbs; positions[pi++] = dihedralTan * (half - startZ); positions[pi++] = half;
-        const tipCenterIndex = slices * N + 1;
+        const rootCenterIndex = offset + rings.length * N;
+        const tipCenterIndex = rootCenterIndex + 1;
+        [rings[0], rings[rings.length - 1]].forEach((ring) => {
+            const c = [0, 0, 0];
+            ring.forEach(p => { for (let d = 0; d < 3; d++) c[d] += p[d] / N; });
+            positions.push(c[0], c[1], c[2]);
+        });
 
-        const indices = [];
-        for (let s = 0; s < slices - 1; s++) {
-            const base = s * N;
-            const next = (s + 1) * N;
+        for (let s = 0; s < rings.length - 1; s++) {
+            const base = offset + s * N;
+            const next = offset + (s + 1) * N;
             for (let j = 0; j < N; j++) {
                 const j2 = (j + 1) % N;
                 indices.push(base + j, next + j, next + j2);
@@ -79,53 +324,301 @@ export function addSpanMorphUI(params, foil, coordsFunc = null, options = {}) {
             }
         }
 
-        // root cap
+        // root cap (wound like the sides, so the closed tube faces outward and
+        // the signed volume in wingmetrics.js holds)
         for (let j = 0; j < N; j++) {
             const j2 = (j + 1) % N;
-            indices.push(rootCenterIndex, j2, j);
+            indices.push(rootCenterIndex, offset + j, offset + j2);
         }
 
         // tip cap
-        const baseTip = (slices - 1) * N;
+        const baseTip = offset + (rings.length - 1) * N;
         for (let j = 0; j < N; j++) {
             const j2 = (j + 1) % N;
-            indices.push(tipCenterIndex, baseTip + j, baseTip + j2);
+            indices.push(tipCenterIndex, baseTip + j2, baseTip + j);
         }
+    }
 
-        const geom = new THREE.BufferGeometry();
-        geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geom.setIndex(indices);
-        geom.computeVertexNormals();
-        return geom;
+    // Winglet airfoil on the untwisted tip chord with `count` points (in the tip
+    // section's plane), null when the winglet keeps the tip section (empty or invalid code)
+    function wingletSection(code, frame, reference) {
+        if (!code || !isValidAirfoilCode(code)) return null;
+        const profileOptions = { te: params.te, teThickness: params.teThickness, spacing: params.spacing, minSegment: params.minSegment };
+        const contour = resampleContour(airfoilCoordinates(code, params.chord, params.points, profileOptions), reference);
+        return contour.map(p => [
+            (frame.leadingEdge + (p.x + params.chord / 2) * frame.chord) * params.scale,
+            p.y * frame.chord * params.scale
+        ]);
+    }
+
+    // Bring one element's contour at every station to the root's point layout and
+    // drop coincident neighbours (e.g. the two trailing-edge points of a closed
+    // TE) so the side seam and the caps are not built from degenerate quads;
+    // a point is only dropped when it is degenerate at every station.
+    // Fixed spacings put the points at the same chord stations for every profile;
+    // adaptive spacing places them by the profile's curvature, so there every
+    // station is resampled on the root's points.
+    function matchContours(contours) {
+        const count = contours[0].length;
+        const adaptive = params.spacing === 'adaptive';
+        let shapes = contours.map((c, i) => (i === 0 || (!adaptive && c.length === count) ? c : resampleContour(c, contours[0])));
+        const same = (a, b) => Math.abs(a.x - b.x) < 1e-9 && Math.abs(a.y - b.y) < 1e-9;
+        const keep = shapes[0].map((p, i) => i === 0 || shapes.some(sh => !same(sh[i], sh[i - 1])));
+        shapes = shapes.map(sh => sh.filter((p, i) => keep[i]));
+        if (shapes[0].length > 1 && shapes.every(sh => same(sh[0], sh[sh.length - 1]))) {
+            shapes = shapes.map(sh => sh.slice(0, -1));
+        }
+        return shapes;
+    }
+
+    // profile for one station: an airfoil code, or the main profile of params
+    // (imported file, parametric profile or params.naca) when empty
+    function stationProfile(code) {
+        const profileOptions = { te: params.te, teThickness: params.teThickness, spacing: params.spacing, minSegment: params.minSegment };
+        if (code) return airfoilCoordinates(code, params.chord, params.points, profileOptions);
+        return sourceCoordinates(profileSource(params), params.chord, params.points, profileOptions);
+    }
+
+    // root, intermediate stations and tip as [{ eta, tc, profile, elements }] sorted
+    // root -> tip, each profile split into its high-lift elements (the same number
+    // at every station); planform stations with an airfoil replace the blend at their position
+    function airfoilSections(planform) {
+        const root = readAirfoilInput(rootInput);
+        const tip = readAirfoilInput(tipInput) || root;
+        const stations = parseAirfoilStations(stationsInput.value).filter(st => st.eta > 0 && st.eta < 1);
+        const fixed = planform.filter(st => st.airfoil).map(st => ({ eta: st.eta, code: st.airfoil }));
+        const all = [{ eta: 0, code: root }, ...stations, { eta: 1, code: tip }]
+            .filter(st => !fixed.some(f => Math.abs(f.eta - st.eta) < 1e-9))
+            .concat(fixed)
+            .sort((a, b) => a.eta - b.eta);
+        const cache = new Map();
+        const shapeFor = (code) => {
+            if (!cache.has(code)) {
+                const profile = stationProfile(code);
+                const tc = computeAirfoilProperties(profile, params.chord).maxThickness / params.chord;
+                cache.set(code, { tc, profile, elements: highLiftElements(profile, params.chord, params) });
+            }
+            return cache.get(code);
+        };
+        const sections = all.map(st => Object.assign({ eta: st.eta }, shapeFor(st.code)));
+        // the slices pair element e of every station, so a cut that misses one
+        // station would blend different elements: keep all profiles whole then
+        if (sections.some(sec => sec.elements.length !== highLiftElementCount(params))) {
+            console.warn('High-lift cut failed at an airfoil station; building the wing without flap and slat');
+            return sections.map(sec => Object.assign({}, sec, { elements: highLiftElements(sec.profile, params.chord, {}) }));
+        }
+        return sections;
+    }
+
+    // Vertical scale that brings a section of relative thickness `tc` to the target
+    // t/c at eta, linear from root to tip. An empty root/tip input keeps the
+    // profile's own thickness at that end. The scaling is about the chord line,
+    // so camber and flap/slat deflections scale with the thickness.
+    function thicknessDistribution(sections) {
+        const root = readThicknessInput(rootThicknessInput);
+        const tip = readThicknessInput(tipThicknessInput);
+        if (root === null && tip === null) return () => 1;
+        const rootTc = root !== null ? root / 100 : sections[0].tc;
+        const tipTc = tip !== null ? tip / 100 : (root !== null ? rootTc : sections[sections.length - 1].tc);
+        return (eta, tc) => (tc > 0 ? (rootTc + (tipTc - rootTc) * eta) / tc : 1);
+    }
+
+    // t/c (%) from an input, null when empty; invalid values are outlined in red and ignored
+    function readThicknessInput(input) {
+        const typed = String(input.value).trim();
+        if (!typed) {
+            input.style.outline = '';
+            return null;
+        }
+        const v = parseFloat(typed);
+        const valid = v > 0 && v <= 50;
+        input.style.outline = valid ? '' : '2px solid #e55';
+        if (!valid) console.warn(`Ignoring invalid thickness ratio: ${typed}`);
+        return valid ? v : null;
+    }
+
+    // stations of the planform table, or the single-break controls when the table is empty,
+    // split at the dihedral breaks and with the panel sweeps turned into leading-edge offsets
+    function currentPlanform(startPercent, taperRatio, sweepAngle, dihedralAngle) {
+        const rows = readPlanformTable();
+        const innerSweep = (parseFloat(innerSweepInput.value) || 0) * Math.PI / 180;
+        const stations = rows.length ? completePlanform(rows) : singleBreakPlanform(startPercent, taperRatio, sweepAngle, dihedralAngle, innerSweep);
+        return applySweep(applyDihedralBreaks(stations, parseDihedralBreaks(dihedralBreaksInput.value)), sweepReferenceSelect.value, spanChords());
+    }
+
+    // root-to-tip distance in profile chords
+    function spanChords() {
+        return params.depth / params.chord;
+    }
+
+    // sweep of every panel at all three reference lines
+    function updateSweepReadout(stations) {
+        const f = v => v.toFixed(1) + '°';
+        sweepReadout.textContent = panelSweeps(stations, spanChords())
+            .map(p => `η ${p.from.toFixed(2)}–${p.to.toFixed(2)}: LE ${f(p.le)} · c/4 ${f(p.quarter)} · TE ${f(p.te)}`)
+            .join('\n');
+    }
+
+    // twist settings from the inputs; invalid incidences fall back to 0
+    function readTwist() {
+        const axis = parseFloat(twistAxisSelect.value);
+        return {
+            rootIncidence: parseFloat(rootIncidenceInput.value) || 0,
+            tipIncidence: parseFloat(tipIncidenceInput.value) || 0,
+            twistMode: TWIST_MODES.includes(twistModeSelect.value) ? twistModeSelect.value : 'linear',
+            twistStations: twistStationsInput.value.trim(),
+            twistAxis: Number.isNaN(axis) ? TWIST_DEFAULTS.twistAxis : axis
+        };
+    }
+
+    // wingtip settings from the inputs; an invalid winglet airfoil is outlined in red and ignored
+    function readWingtip() {
+        const values = { tipShape: tipShapeSelect.value };
+        Object.keys(tipInputs).forEach((key) => { values[key] = tipInputs[key].value; });
+        const typed = String(values.wingletAirfoil || '').trim();
+        const code = normalizeAirfoilCode(typed);
+        const valid = !typed || isValidAirfoilCode(code);
+        tipInputs.wingletAirfoil.style.outline = valid ? '' : '2px solid #e55';
+        values.wingletAirfoil = valid ? code : '';
+        return wingtipSettings(values);
+    }
+
+    // update the twist inputs (e.g. from the cinematic washout slider); the caller re-applies the morph
+    function setTwist(values) {
+        if (values.rootIncidence !== undefined) rootIncidenceInput.value = values.rootIncidence;
+        if (values.tipIncidence !== undefined) tipIncidenceInput.value = values.tipIncidence;
+        if (values.twistMode !== undefined) twistModeSelect.value = values.twistMode;
+        if (values.twistStations !== undefined) twistStationsInput.value = values.twistStations;
+        if (values.twistAxis !== undefined) twistAxisSelect.value = String(values.twistAxis);
+        updateTwistInputs();
+    }
+
+    // valid table rows as stations; invalid rows are outlined in red and skipped
+    function readPlanformTable() {
+        const out = [];
+        planformRows.forEach((r) => {
+            const values = {};
+            Object.keys(r.inputs).forEach((key) => { values[key] = r.inputs[key].value; });
+            try {
+                out.push(makeStation(values));
+                r.el.style.outline = '';
+            } catch (e) {
+                console.warn(`Ignoring planform row: ${e.message}`);
+                r.el.style.outline = '2px solid #e55';
+            }
+        });
+        return out.sort((a, b) => a.eta - b.eta);
+    }
+
+    // valid code from a root/tip input, '' when empty or invalid (invalid codes are outlined in red)
+    function readAirfoilInput(input) {
+        const typed = input.value.trim();
+        const code = normalizeAirfoilCode(typed);
+        const valid = !typed || isValidAirfoilCode(code);
+        input.style.outline = valid ? '' : '2px solid #e55';
+        if (!valid) console.warn(`Ignoring invalid airfoil code: ${typed}`);
+        return valid ? code : '';
     }
 
     // --- Apply morph to current foil ---
-    function applySpanMorph(startPercent = 0.5, thicknessFactor = 1.0, slices = 40, shiftAmount = 0, dihedralAngle = 0) {
+    function applySpanMorph(startPercent = 0.5, taperRatio = 1.0, slices = 40, sweepAngle = 0, dihedralAngle = 0) {
         if (!currentFoil) return;
-        const mesh = currentFoil.children.find(c => c.isMesh);
+        const mesh = currentFoil.children.find(c => c.isMesh && !c.userData.controlSurface);
         const line = currentFoil.children.find(c => c.isLineSegments);
 
         if (mesh && mesh.geometry) mesh.geometry.dispose();
         if (line && line.geometry) line.geometry.dispose();
 
-        const geom = createSpanMorphGeometry(startPercent, thicknessFactor, Math.max(2, Math.floor(slices)), shiftAmount, dihedralAngle);
+        const { geometry: geom, controlParts } = createSpanMorphGeometry(startPercent, taperRatio, Math.max(2, Math.floor(slices)), sweepAngle, dihedralAngle);
         if (mesh) mesh.geometry = geom;
         if (line) line.geometry = new THREE.EdgesGeometry(geom);
+        attachControlSurfaces(controlParts, mesh, line);
+
+        // reference numbers from the planform, volume and projected span from the mesh
+        // (control surfaces included); the mesh carries the visual scale, the
+        // metrics are in the units of params.chord and params.depth
+        const meshMetrics = geometryMetrics(geom);
+        controlParts.forEach((part) => {
+            const m = geometryMetrics(part.geometry);
+            meshMetrics.volume += m.volume;
+            meshMetrics.projectedArea += m.projectedArea;
+        });
+        const k = params.scale;
+        lastMetrics = Object.assign(
+            planformMetrics(lastSlices, { span: params.depth, chord: params.chord }),
+            { volume: meshMetrics.volume / (k * k * k), projectedArea: meshMetrics.projectedArea / (k * k), projectedSpan: meshMetrics.projectedSpan / k }
+        );
+        updateMetricsReadout(lastMetrics);
+    }
+
+    // --- Control surfaces ---
+    // Each surface is a child mesh of the foil group (with its own edges when the
+    // wing has them), so deflecting it only sets its rotation about the hinge line.
+    let controlMeshes = [];
+    let controlInputs = { roll: 0, pitch: 0 };
+    // surface -> the UI row it was read from (see readControlSurfaces)
+    const surfaceRows = new WeakMap();
+
+    function attachControlSurfaces(parts, mesh, line) {
+        currentFoil.children.filter(c => c.userData.controlSurface).forEach((child) => {
+            currentFoil.remove(child);
+            child.geometry.dispose();
+            child.children.forEach(edge => edge.geometry.dispose());
+        });
+        controlMeshes = parts.map((part) => {
+            const surfaceMesh = new THREE.Mesh(part.geometry, mesh ? mesh.material : new THREE.MeshStandardMaterial({ side: THREE.DoubleSide }));
+            surfaceMesh.userData.controlSurface = true;
+            surfaceMesh.castShadow = true;
+            surfaceMesh.receiveShadow = true;
+            surfaceMesh.position.copy(part.pivot);
+            if (line) surfaceMesh.add(new THREE.LineSegments(new THREE.EdgesGeometry(part.geometry), line.material));
+            currentFoil.add(surfaceMesh);
+            return { mesh: surfaceMesh, part, row: surfaceRows.get(part.surface) };
+        });
+        updateControlSurfaces();
+    }
+
+    // rotate every surface to its deflection (trailing edge down positive, about the
+    // hinge line running root -> tip)
+    function updateControlSurfaces() {
+        controlMeshes.forEach(({ mesh, part, row }) => {
+            // deflection sliders apply without a rebuild, so take the deflection from the surface's own row
+            const deflection = row ? parseFloat(row.inputs.deflection.value) : NaN;
+            const surface = Number.isFinite(deflection) ? Object.assign({}, part.surface, { deflection }) : part.surface;
+            const angle = -surfaceDeflection(surface, controlInputs, mirrored ? -1 : 1) * Math.PI / 180;
+            mesh.quaternion.setFromAxisAngle(part.axis, angle);
+        });
+    }
+
+    // roll / pitch inputs (°) on top of the surfaces' own deflections, e.g. animated in cinematic mode
+    function setControlInputs(values) {
+        controlInputs = Object.assign({}, controlInputs, values);
+        updateControlSurfaces();
+    }
+
+    // chord and depth carry no unit, so neither do the metrics (lengths in the chord's unit)
+    function updateMetricsReadout(m) {
+        const f = (v, d = 3) => v.toFixed(d);
+        metricsReadout.textContent = [
+            `S ${f(m.area)} · b ${f(m.span, 2)} · AR ${f(m.aspectRatio, 2)} · λ ${f(m.taperRatio, 2)}`,
+            `MAC ${f(m.mac)} @ y ${f(m.macY)}, x ${f(m.macX)} (c/4 ${f(m.acX)})`,
+            `İzdüşüm açıklık ${f(m.projectedSpan, 2)} · hacim ${f(m.volume, 4)}`
+        ].join('\n');
     }
 
     // --- Update foil reference ---
     function setFoilMesh(newFoil) {
         currentFoil = newFoil;
         // Re-apply the current UI values to the newly attached foil so the
-        // existing morph (dihedral, thickness, shift, start) is preserved
+        // existing morph (dihedral, thickness, sweep, start) is preserved
         // after a rebuild or NACA update. Read inputs and call applySpanMorph.
         try {
             const start = Math.max(0, Math.min(100, parseFloat(startInput.value) || 50)) / 100;
-            const factor = Math.max(0.01, parseFloat(factorInput.value) || 1.0);
+            const taper = Math.max(0.01, parseFloat(taperInput.value) || 1.0);
             const slices = Math.max(2, parseInt(slicesInput.value, 10) || 40);
-            const shift = parseFloat(shiftInput.value) || 0;
+            const sweep = (parseFloat(sweepInput.value) || 0) * Math.PI / 180;
             const dihedral = (parseFloat(dihedralInput.value) || 0) * Math.PI / 180;
-            applySpanMorph(start, factor, slices, shift, dihedral);
+            applySpanMorph(start, taper, slices, sweep, dihedral);
         } catch (e) {
             // if inputs aren't yet available or something else fails, swallow
             // the error — the caller will still have a valid foil attached.
@@ -154,29 +647,384 @@ export function addSpanMorphUI(params, foil, coordsFunc = null, options = {}) {
         return r;
     }
 
+    const rootThicknessInput = document.createElement('input');
+    rootThicknessInput.type = 'number'; rootThicknessInput.min = 1; rootThicknessInput.max = 50; rootThicknessInput.step = 0.1; rootThicknessInput.placeholder = 'profilin kendi'; rootThicknessInput.value = initRootThickness === null ? '' : initRootThickness; rootThicknessInput.style.width = '100%';
+
+    const tipThicknessInput = document.createElement('input');
+    tipThicknessInput.type = 'number'; tipThicknessInput.min = 1; tipThicknessInput.max = 50; tipThicknessInput.step = 0.1; tipThicknessInput.placeholder = 'kök ile aynı'; tipThicknessInput.value = initTipThickness === null ? '' : initTipThickness; tipThicknessInput.style.width = '100%';
+
     const startInput = document.createElement('input');
     startInput.type = 'number'; startInput.min = 0; startInput.max = 100; startInput.step = 1; startInput.value = Math.round(initStart * 100); startInput.style.width = '100%';
 
-    const factorInput = document.createElement('input');
-    factorInput.type = 'number'; factorInput.min = 0.1; factorInput.max = 3; factorInput.step = 0.01; factorInput.value = initFactor; factorInput.style.width = '100%';
+    const taperInput = document.createElement('input');
+    taperInput.type = 'number'; taperInput.min = 0.1; taperInput.max = 3; taperInput.step = 0.01; taperInput.value = initTaper; taperInput.style.width = '100%';
 
     const slicesInput = document.createElement('input');
     slicesInput.type = 'number'; slicesInput.min = 2; slicesInput.max = 200; slicesInput.step = 1; slicesInput.value = initSlices; slicesInput.style.width = '100%';
 
-    const shiftInput = document.createElement('input');
-    shiftInput.type = 'number'; shiftInput.min = -5; shiftInput.max = 5; shiftInput.step = 0.01; shiftInput.value = initShift; shiftInput.style.width = '100%';
+    const sweepInput = document.createElement('input');
+    sweepInput.type = 'number'; sweepInput.min = -60; sweepInput.max = 70; sweepInput.step = 0.5; sweepInput.value = initSweep * 180 / Math.PI; sweepInput.style.width = '100%';
+
+    const innerSweepInput = document.createElement('input');
+    innerSweepInput.type = 'number'; innerSweepInput.min = -60; innerSweepInput.max = 70; innerSweepInput.step = 0.5; innerSweepInput.value = initInnerSweep * 180 / Math.PI; innerSweepInput.style.width = '100%';
+
+    const sweepReferenceSelect = document.createElement('select');
+    [['le', 'Hücum kenarı'], ['quarter', 'Çeyrek veter (c/4)'], ['te', 'Firar kenarı']].forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value; opt.textContent = label;
+        sweepReferenceSelect.appendChild(opt);
+    });
+    sweepReferenceSelect.value = initSweepReference; sweepReferenceSelect.style.width = '100%';
+
+    // resulting sweep at the other reference lines, one line per panel
+    const sweepReadout = document.createElement('div');
+    Object.assign(sweepReadout.style, { whiteSpace: 'pre', fontSize: '11px', opacity: '0.8', marginBottom: '6px' });
+
+    // area, MAC, aspect ratio and volume of the whole wing (both halves)
+    const metricsReadout = document.createElement('div');
+    Object.assign(metricsReadout.style, { whiteSpace: 'pre', fontSize: '11px', opacity: '0.8', marginBottom: '6px' });
 
     const dihedralInput = document.createElement('input');
     dihedralInput.type = 'number'; dihedralInput.min = -45; dihedralInput.max = 45; dihedralInput.step = 0.1; dihedralInput.value = initDihedral * 180 / Math.PI; dihedralInput.style.width = '100%';
 
+    const dihedralBreaksInput = document.createElement('input');
+    dihedralBreaksInput.type = 'text'; dihedralBreaksInput.placeholder = '0:-10; 0.3:15 (martı)'; dihedralBreaksInput.value = initDihedralBreaks; dihedralBreaksInput.style.width = '100%';
+
+    const rootInput = document.createElement('input');
+    rootInput.type = 'text'; rootInput.maxLength = 16; rootInput.placeholder = 'ana profil'; rootInput.value = initRootAirfoil; rootInput.style.width = '100%';
+
+    const tipInput = document.createElement('input');
+    tipInput.type = 'text'; tipInput.maxLength = 16; tipInput.placeholder = 'kök ile aynı'; tipInput.value = initTipAirfoil; tipInput.style.width = '100%';
+
+    const stationsInput = document.createElement('input');
+    stationsInput.type = 'text'; stationsInput.placeholder = '0.5:2412; 0.8:0010'; stationsInput.value = initStations; stationsInput.style.width = '100%';
+
+    // --- Twist (washout) ---
+    const rootIncidenceInput = document.createElement('input');
+    rootIncidenceInput.type = 'number'; rootIncidenceInput.min = -15; rootIncidenceInput.max = 15; rootIncidenceInput.step = 0.1; rootIncidenceInput.value = initTwist.rootIncidence; rootIncidenceInput.style.width = '100%';
+
+    const tipIncidenceInput = document.createElement('input');
+    tipIncidenceInput.type = 'number'; tipIncidenceInput.min = -15; tipIncidenceInput.max = 15; tipIncidenceInput.step = 0.1; tipIncidenceInput.value = initTwist.tipIncidence; tipIncidenceInput.style.width = '100%';
+
+    const twistModeSelect = document.createElement('select');
+    [['linear', 'Doğrusal'], ['custom', 'Özel (η:°)']].forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value; opt.textContent = label;
+        twistModeSelect.appendChild(opt);
+    });
+    twistModeSelect.value = TWIST_MODES.includes(initTwist.twistMode) ? initTwist.twistMode : 'linear'; twistModeSelect.style.width = '100%';
+
+    const twistStationsInput = document.createElement('input');
+    twistStationsInput.type = 'text'; twistStationsInput.placeholder = '0.5:-0.5; 0.8:-2'; twistStationsInput.value = initTwist.twistStations; twistStationsInput.style.width = '100%';
+
+    const twistAxisSelect = document.createElement('select');
+    [['0', 'Hücum kenarı'], ['0.25', 'Çeyrek veter (c/4)'], ['0.5', 'Orta veter (c/2)'], ['1', 'Firar kenarı']].forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value; opt.textContent = label;
+        twistAxisSelect.appendChild(opt);
+    });
+    twistAxisSelect.value = String(initTwist.twistAxis); twistAxisSelect.style.width = '100%';
+
+    // custom points only matter for the custom distribution
+    function updateTwistInputs() {
+        twistStationsInput.disabled = twistModeSelect.value !== 'custom';
+    }
+
+    // --- Chord distribution ---
+    const chordDistributionSelect = document.createElement('select');
+    [['planform', 'Planform (doğrusal)'], ['elliptical', 'Eliptik'], ['schrenk', 'Schrenk'], ['custom', 'Özel eğri']].forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value; opt.textContent = label;
+        chordDistributionSelect.appendChild(opt);
+    });
+    chordDistributionSelect.value = initChordDistribution; chordDistributionSelect.style.width = '100%';
+
+    // custom curve: chord / root chord over eta, edited by dragging its control points
+    let chordCurve = initChordCurve;
+    const toCurvePoints = text => parseChordCurve(text).map(p => ({ x: p.eta, y: p.ratio }));
+    const fromCurvePoints = points => points.map(p => ({ eta: p.x, ratio: p.y }));
+    const chordCurveEditor = createCurveEditor(toCurvePoints(chordCurve), {
+        curve: points => chordCurveFunction(fromCurvePoints(points)),
+        onChange: (points) => {
+            chordCurve = chordCurveToString(fromCurvePoints(points));
+            scheduleApply();
+        }
+    });
+    const chordCurveBox = document.createElement('div');
+    Object.assign(chordCurveBox.style, { marginBottom: '6px', fontSize: '11px' });
+    const chordCurveHint = document.createElement('div');
+    chordCurveHint.textContent = 'c/c_kök · sürükle, tıkla = ekle, çift tık = sil';
+    chordCurveHint.style.opacity = '0.8';
+    chordCurveBox.append(chordCurveEditor.element, chordCurveHint);
+
+    function updateChordInputs() {
+        chordCurveBox.style.display = chordDistributionSelect.value === 'custom' ? 'block' : 'none';
+    }
+
+    // --- Control surfaces: one row per surface ---
+    const controlBox = document.createElement('div');
+    Object.assign(controlBox.style, { marginBottom: '6px', fontSize: '11px', minWidth: '340px' });
+    const controlGrid = '1.4fr 1fr 1fr 1fr 2fr 18px';
+    const controlHeader = document.createElement('div');
+    Object.assign(controlHeader.style, { display: 'grid', gridTemplateColumns: controlGrid, gap: '2px', opacity: '0.8' });
+    ['tür', 'η₁', 'η₂', 'menteşe', 'sapma (°)', ''].forEach((label) => {
+        const h = document.createElement('div');
+        h.textContent = label;
+        controlHeader.appendChild(h);
+    });
+    const controlList = document.createElement('div');
+    const addSurfaceBtn = document.createElement('button');
+    addSurfaceBtn.textContent = '+ Yüzey'; addSurfaceBtn.style.width = '100%'; addSurfaceBtn.style.cursor = 'pointer'; addSurfaceBtn.style.marginTop = '2px';
+    controlBox.append(controlHeader, controlList, addSurfaceBtn);
+
+    let controlRows = [];
+
+    function addControlRow(surface) {
+        const el = document.createElement('div');
+        Object.assign(el.style, { display: 'grid', gridTemplateColumns: controlGrid, gap: '2px', marginTop: '2px', alignItems: 'center' });
+        const inputs = {};
+        const typeSelect = document.createElement('select');
+        [['aileron', 'Kanatçık'], ['flap', 'Flap'], ['elevon', 'Elevon']].forEach(([value, label]) => {
+            const opt = document.createElement('option');
+            opt.value = value; opt.textContent = label;
+            typeSelect.appendChild(opt);
+        });
+        typeSelect.value = surface.type; typeSelect.style.fontSize = '11px';
+        typeSelect.addEventListener('change', scheduleApply);
+        inputs.type = typeSelect;
+        el.appendChild(typeSelect);
+        ['from', 'to', 'hinge'].forEach((key) => {
+            const inp = document.createElement('input');
+            inp.type = 'number'; inp.step = '0.01'; inp.min = 0; inp.max = 1; inp.value = surface[key];
+            Object.assign(inp.style, { width: '100%', boxSizing: 'border-box', fontSize: '11px' });
+            inp.addEventListener('input', scheduleApply);
+            inputs[key] = inp;
+            el.appendChild(inp);
+        });
+        // the deflection only rotates the surface mesh, no rebuild needed
+        const deflection = document.createElement('input');
+        deflection.type = 'range'; deflection.min = -MAX_DEFLECTION; deflection.max = MAX_DEFLECTION; deflection.step = 0.5; deflection.value = surface.deflection;
+        deflection.title = `${surface.deflection}°`; deflection.style.width = '100%';
+        deflection.addEventListener('input', () => {
+            deflection.title = `${deflection.value}°`;
+            updateControlSurfaces();
+            if (onChange) onChange(getCurrentValues());
+        });
+        inputs.deflection = deflection;
+        el.appendChild(deflection);
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '×'; removeBtn.title = 'Yüzeyi sil'; removeBtn.style.cursor = 'pointer'; removeBtn.style.padding = '0';
+        removeBtn.addEventListener('click', () => {
+            controlRows = controlRows.filter(r => r.el !== el);
+            el.remove();
+            applyBtn.click();
+        });
+        el.appendChild(removeBtn);
+        controlList.appendChild(el);
+        controlRows.push({ el, inputs });
+    }
+
+    function clearControlRows() {
+        controlRows.forEach(r => r.el.remove());
+        controlRows = [];
+    }
+
+    // valid surfaces from the rows; invalid rows are outlined in red and overlapping ones skipped
+    function readControlSurfaces() {
+        const out = [];
+        controlRows.forEach((r) => {
+            const values = {};
+            Object.keys(r.inputs).forEach((key) => { values[key] = r.inputs[key].value; });
+            try {
+                const surface = makeControlSurface(values);
+                surfaceRows.set(surface, r);
+                out.push(surface);
+                r.el.style.outline = '';
+            } catch (e) {
+                console.warn(`Ignoring control surface row: ${e.message}`);
+                r.el.style.outline = '2px solid #e55';
+            }
+        });
+        return withoutOverlaps(out);
+    }
+
+    // the first surface is an outboard aileron; the next is a flap inboard of the
+    // existing ones, or another aileron outboard of them when the inner span is taken
+    addSurfaceBtn.addEventListener('click', () => {
+        const existing = readControlSurfaces();
+        if (!existing.length) {
+            addControlRow(CONTROL_SURFACE_DEFAULT);
+        } else if (existing[0].from >= 0.2) {
+            addControlRow(Object.assign({}, CONTROL_SURFACE_DEFAULT, { type: 'flap', from: 0.05, to: existing[0].from, hinge: 0.7 }));
+        } else if (existing[existing.length - 1].to <= 0.9) {
+            const from = existing[existing.length - 1].to;
+            addControlRow(Object.assign({}, CONTROL_SURFACE_DEFAULT, { from, to: Math.min(1, from + 0.2) }));
+        } else {
+            console.warn('No free span left for another control surface');
+            return;
+        }
+        applyBtn.click();
+    });
+
+    initControlSurfaces.forEach(addControlRow);
+
+    // --- Wingtip ---
+    const tipShapeSelect = document.createElement('select');
+    [['flat', 'Düz'], ['rounded', 'Yuvarlak'], ['hoerner', 'Hoerner'], ['raked', 'Eğik (raked)'], ['winglet', 'Winglet']].forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value; opt.textContent = label;
+        tipShapeSelect.appendChild(opt);
+    });
+    tipShapeSelect.value = initWingtip.tipShape; tipShapeSelect.style.width = '100%';
+
+    // parameter inputs per tip shape: [key, label, step] (no step = text)
+    const tipFields = {
+        raked: [['tipLength', 'Uzunluk (% yarı açıklık)', '0.5'], ['tipRake', 'Eğim açısı (°)', '1']],
+        winglet: [
+            ['wingletHeight', 'Yükseklik (% yarı açıklık)', '0.5'], ['wingletCant', 'Cant (° dikeyden)', '1'],
+            ['wingletSweep', 'Ok açısı (°)', '1'], ['wingletToe', 'Toe-out (°)', '0.1'],
+            ['wingletTaper', 'Sivrilme (uç/kök)', '0.05'], ['wingletAirfoil', 'Profil (boş = uç profili)']
+        ]
+    };
+    const tipInputs = {};
+    const tipRows = {};
+    Object.entries(tipFields).forEach(([shape, fields]) => {
+        const box = document.createElement('div');
+        Object.assign(box.style, { display: 'grid', gridTemplateColumns: '1fr 70px', gap: '2px 4px', fontSize: '11px', marginBottom: '6px' });
+        fields.forEach(([key, label, step]) => {
+            const l = document.createElement('div');
+            l.textContent = label;
+            const inp = document.createElement('input');
+            inp.type = step ? 'number' : 'text';
+            if (step) inp.step = step;
+            inp.value = initWingtip[key];
+            Object.assign(inp.style, { width: '100%', boxSizing: 'border-box' });
+            box.append(l, inp);
+            tipInputs[key] = inp;
+        });
+        tipRows[shape] = box;
+    });
+
+    function updateWingtipInputs() {
+        Object.entries(tipRows).forEach(([shape, box]) => { box.style.display = tipShapeSelect.value === shape ? 'grid' : 'none'; });
+    }
+
+    // --- Planform table: one row per spanwise station ---
+    const planformBox = document.createElement('div');
+    Object.assign(planformBox.style, { marginBottom: '6px', fontSize: '11px', minWidth: '340px' });
+    const planformColumns = [
+        ['eta', 'η', '0.01'], ['chord', 'c', '0.01'], ['offset', 'LE', '0.01'], ['sweep', 'Λ (°)', '0.5'],
+        ['twist', 'θ (°)', '0.1'], ['dihedral', 'Γ (°)', '0.1'], ['airfoil', 'profil']
+    ];
+    const gridColumns = '1fr 1fr 1fr 1fr 1fr 1fr 1.6fr 18px';
+    const planformHeader = document.createElement('div');
+    Object.assign(planformHeader.style, { display: 'grid', gridTemplateColumns: gridColumns, gap: '2px', opacity: '0.8' });
+    planformColumns.forEach(([, label]) => {
+        const h = document.createElement('div');
+        h.textContent = label;
+        planformHeader.appendChild(h);
+    });
+    planformHeader.appendChild(document.createElement('div'));
+    const planformList = document.createElement('div');
+    const addStationBtn = document.createElement('button');
+    addStationBtn.textContent = '+ İstasyon'; addStationBtn.style.width = '100%'; addStationBtn.style.cursor = 'pointer'; addStationBtn.style.marginTop = '2px';
+    planformBox.append(planformHeader, planformList, addStationBtn);
+
+    let planformRows = [];
+    // stations (with final offsets) and metrics of the last built geometry
+    let lastPlanform = [];
+    let lastSlices = [];
+    let lastMetrics = null;
+
+    function addPlanformRow(station) {
+        const el = document.createElement('div');
+        Object.assign(el.style, { display: 'grid', gridTemplateColumns: gridColumns, gap: '2px', marginTop: '2px' });
+        const inputs = {};
+        planformColumns.forEach(([key, , step]) => {
+            const inp = document.createElement('input');
+            inp.type = step ? 'number' : 'text';
+            if (step) inp.step = step;
+            if (key === 'airfoil') inp.placeholder = 'karışım';
+            inp.value = key === 'airfoil' ? (station.airfoil || '') : String(Math.round(station[key] * 1e4) / 1e4);
+            Object.assign(inp.style, { width: '100%', boxSizing: 'border-box', fontSize: '11px' });
+            inp.addEventListener('input', scheduleApply);
+            inputs[key] = inp;
+            el.appendChild(inp);
+        });
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '×'; removeBtn.title = 'İstasyonu sil'; removeBtn.style.cursor = 'pointer'; removeBtn.style.padding = '0';
+        removeBtn.addEventListener('click', () => {
+            planformRows = planformRows.filter(r => r.el !== el);
+            el.remove();
+            updateSingleBreakInputs();
+            applyBtn.click();
+        });
+        el.appendChild(removeBtn);
+        planformList.appendChild(el);
+        planformRows.push({ el, inputs });
+    }
+
+    function clearPlanformRows() {
+        planformRows.forEach(r => r.el.remove());
+        planformRows = [];
+    }
+
+    // the table overrides break, taper, sweeps and dihedral; grey them out while it has rows
+    function updateSingleBreakInputs() {
+        [startInput, taperInput, sweepInput, innerSweepInput, dihedralInput].forEach((inp) => { inp.disabled = planformRows.length > 0; });
+    }
+
+    // an empty table starts from the current single-break planform, so the wing keeps its
+    // shape; afterwards a station is inserted in the middle of the widest panel
+    addStationBtn.addEventListener('click', () => {
+        const values = getCurrentValues();
+        if (!planformRows.length) {
+            singleBreakPlanform(values.startPercent, values.taperRatio, values.sweepAngle, values.dihedralAngle, values.innerSweepAngle).forEach(addPlanformRow);
+        } else {
+            const stations = completePlanform(readPlanformTable());
+            let k = 0;
+            for (let i = 1; i < stations.length - 1; i++) {
+                if (stations[i + 1].eta - stations[i].eta > stations[k + 1].eta - stations[k].eta) k = i;
+            }
+            const eta = (stations[k].eta + stations[k + 1].eta) / 2;
+            addPlanformRow(Object.assign({ eta, dihedral: stations[k].dihedral, sweep: stations[k].sweep, airfoil: '' }, planformAt(stations, eta)));
+        }
+        updateSingleBreakInputs();
+        applyBtn.click();
+    });
+
+    initPlanform.forEach(addPlanformRow);
+
     const applyBtn = document.createElement('button');
     applyBtn.textContent = 'Span Morph Uygula'; applyBtn.style.width = '100%'; applyBtn.style.padding = '6px'; applyBtn.style.cursor = 'pointer';
 
     panel.appendChild(row('Başlangıç (%) (0=root,100=tip)', startInput));
-    panel.appendChild(row('Kalınlık Faktörü (1 = orijinal)', factorInput));
+    panel.appendChild(row('Sivrilme oranı (uç/kök veter)', taperInput));
+    panel.appendChild(row('Veter dağılımı', chordDistributionSelect));
+    panel.appendChild(chordCurveBox);
+    panel.appendChild(row('Kök t/c (%)', rootThicknessInput));
+    panel.appendChild(row('Uç t/c (%)', tipThicknessInput));
     panel.appendChild(row('Dilimler (sweep slices)', slicesInput));
-    panel.appendChild(row('Kaydırma (X, chord birimlerinde)', shiftInput));
+    panel.appendChild(row('Ok açısı referansı', sweepReferenceSelect));
+    panel.appendChild(row('İç panel ok açısı (°)', innerSweepInput));
+    panel.appendChild(row('Dış panel ok açısı (°)', sweepInput));
+    panel.appendChild(sweepReadout);
     panel.appendChild(row('Dihedral Açısı (°)', dihedralInput));
+    panel.appendChild(row('Dihedral kırılımları (η:°; ...)', dihedralBreaksInput));
+    panel.appendChild(row('Kök profili (NACA)', rootInput));
+    panel.appendChild(row('Uç profili (NACA)', tipInput));
+    panel.appendChild(row('Ara istasyonlar (η:NACA; ...)', stationsInput));
+    panel.appendChild(row('Planform istasyonları (boşsa tek kırılım)', planformBox));
+    panel.appendChild(row('Kök hücum açısı (°)', rootIncidenceInput));
+    panel.appendChild(row('Uç hücum açısı (°) (negatif = washout)', tipIncidenceInput));
+    panel.appendChild(row('Burulma dağılımı', twistModeSelect));
+    panel.appendChild(row('Özel burulma (η:°; ...)', twistStationsInput));
+    panel.appendChild(row('Burulma ekseni', twistAxisSelect));
+    panel.appendChild(row('Kumanda yüzeyleri', controlBox));
+    panel.appendChild(row('Kanat ucu', tipShapeSelect));
+    panel.appendChild(tipRows.raked);
+    panel.appendChild(tipRows.winglet);
+    panel.appendChild(row('Kanat ölçüleri (iki yarı, veter birimiyle)', metricsReadout));
     panel.appendChild(applyBtn);
 
     if (appendPanel) {
@@ -185,41 +1033,95 @@ export function addSpanMorphUI(params, foil, coordsFunc = null, options = {}) {
 
     applyBtn.addEventListener('click', () => {
         const start = Math.max(0, Math.min(100, parseFloat(startInput.value) || 50)) / 100;
-        const factor = Math.max(0.01, parseFloat(factorInput.value) || 1.0);
+        const taper = Math.max(0.01, parseFloat(taperInput.value) || 1.0);
         const slices = Math.max(2, parseInt(slicesInput.value, 10) || 40);
-        const shift = parseFloat(shiftInput.value) || 0;
+        const sweep = (parseFloat(sweepInput.value) || 0) * Math.PI / 180;
         const dihedral = (parseFloat(dihedralInput.value) || 0) * Math.PI / 180;
-        applySpanMorph(start, factor, slices, shift, dihedral);
+        applySpanMorph(start, taper, slices, sweep, dihedral);
+        if (onChange) onChange(getCurrentValues());
     });
 
     function resetDefaults() {
         startInput.value = Math.round(0.5 * 100);
-        factorInput.value = 1.0;
+        taperInput.value = 1.0;
         slicesInput.value = 40;
-        shiftInput.value = 0.0;
+        sweepInput.value = 0;
+        innerSweepInput.value = 0;
+        sweepReferenceSelect.value = 'le';
         dihedralInput.value = 0;
+        dihedralBreaksInput.value = '';
+        rootThicknessInput.value = '';
+        tipThicknessInput.value = '';
+        rootInput.value = '';
+        tipInput.value = '';
+        stationsInput.value = '';
+        clearPlanformRows();
+        updateSingleBreakInputs();
+        setTwist(TWIST_DEFAULTS);
+        tipShapeSelect.value = TIP_DEFAULTS.tipShape;
+        Object.keys(tipInputs).forEach((key) => { tipInputs[key].value = TIP_DEFAULTS[key]; });
+        updateWingtipInputs();
+        chordDistributionSelect.value = 'planform';
+        chordCurve = CHORD_CURVE_DEFAULT;
+        chordCurveEditor.setPoints(toCurvePoints(chordCurve));
+        updateChordInputs();
+        clearControlRows();
         applyBtn.click();
     }
 
     function getCurrentValues() {
         return {
             startPercent: Math.max(0, Math.min(100, parseFloat(startInput.value) || 50)) / 100,
-            thicknessFactor: Math.max(0.01, parseFloat(factorInput.value) || 1.0),
+            taperRatio: Math.max(0.01, parseFloat(taperInput.value) || 1.0),
             slices: Math.max(2, parseInt(slicesInput.value, 10) || 40),
-            shiftAmount: parseFloat(shiftInput.value) || 0,
-            dihedralAngle: (parseFloat(dihedralInput.value) || 0) * Math.PI / 180
+            sweepAngle: (parseFloat(sweepInput.value) || 0) * Math.PI / 180,
+            innerSweepAngle: (parseFloat(innerSweepInput.value) || 0) * Math.PI / 180,
+            sweepReference: sweepReferenceSelect.value,
+            dihedralAngle: (parseFloat(dihedralInput.value) || 0) * Math.PI / 180,
+            dihedralBreaks: dihedralBreaksInput.value.trim(),
+            rootThickness: readThicknessInput(rootThicknessInput),
+            tipThickness: readThicknessInput(tipThicknessInput),
+            rootAirfoil: normalizeAirfoilCode(rootInput.value),
+            tipAirfoil: normalizeAirfoilCode(tipInput.value),
+            airfoilStations: stationsInput.value.trim(),
+            planform: planformToString(readPlanformTable()),
+            ...readTwist(),
+            wingtip: readWingtip(),
+            chordDistribution: chordDistributionSelect.value,
+            chordCurve,
+            controlSurfaces: controlSurfacesToString(readControlSurfaces())
         };
     }
 
     let debounce = null;
-    [startInput, factorInput, slicesInput, shiftInput, dihedralInput].forEach(inp => {
-        inp.addEventListener('input', () => {
-            clearTimeout(debounce);
-            debounce = setTimeout(() => applyBtn.click(), 200);
-        });
+    function scheduleApply() {
+        clearTimeout(debounce);
+        debounce = setTimeout(() => applyBtn.click(), 200);
+    }
+    [startInput, taperInput, slicesInput, sweepInput, innerSweepInput, dihedralInput, dihedralBreaksInput, rootThicknessInput, tipThicknessInput, rootInput, tipInput, stationsInput, rootIncidenceInput, tipIncidenceInput, twistStationsInput].forEach(inp => {
+        inp.addEventListener('input', scheduleApply);
+    });
+    Object.values(tipInputs).forEach(inp => inp.addEventListener('input', scheduleApply));
+    [twistModeSelect, twistAxisSelect, sweepReferenceSelect, tipShapeSelect, chordDistributionSelect].forEach(sel => {
+        sel.addEventListener('change', () => { updateTwistInputs(); updateWingtipInputs(); updateChordInputs(); scheduleApply(); });
     });
+    updateSingleBreakInputs();
+    updateTwistInputs();
+    updateWingtipInputs();
+    updateChordInputs();
 
     applyBtn.click();
 
-    return { applySpanMorph, setFoilMesh, resetDefaults, getCurrentValues };
+    // stations the current geometry was built from: { eta, chord, offset, twist, dihedral, sweep, airfoil },
+    // offsets including the sweep (see planform.js)
+    function getPlanform() {
+        return lastPlanform.map(st => Object.assign({}, st));
+    }
+
+    // metrics of the current geometry (see wingmetrics.js), null before the first build
+    function getMetrics() {
+        return lastMetrics ? Object.assign({}, lastMetrics) : null;
+    }
+
+    return { applySpanMorph, setFoilMesh, resetDefaults, getCurrentValues, setTwist, getPlanform, getMetrics, setControlInputs };
 }
@@ -1,26 +1,47 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { addSpanMorphUI } from './utils.js';
-import { naca4Coordinates, naca5Coordinates } from './nacaprofile.js';
+import { PARSEC_KEYS, SPACING_MODES, TRAILING_EDGE_MODES, cstChangeOrder, sanitizeNacaCode } from './nacaprofile.js';
+import { isValidAirfoilCode, normalizeAirfoilCode, parametricFamilies, profileSource, sourceCamberLine, sourceCoordinates, sourceName } from './airfoilregistry.js';
+import { loadImportedProfile, parseDatFile, storeImportedProfile, toSeligDat, toCsv, toSvg } from './airfoildat.js';
+import { computeAirfoilProperties, contourCamberLine } from './airfoilprops.js';
+import { thinAirfoilEstimates } from './thinairfoil.js';
+import { solvePanelMethod } from './panelmethod.js';
+import { HIGH_LIFT_DEFAULTS, highLiftElements } from './highlift.js';
+import { CHORD_DISTRIBUTIONS, SWEEP_REFERENCES, TWIST_AXES, TWIST_MODES, legacyShiftSweep } from './planform.js';
+import { fitCstWeights, fitNacaCode } from './airfoilfit.js';
+import { MIN_POLAR_STEP, computePolar, polarToCsv } from './boundarylayer.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
 import { animateFoil } from './animate.foil.js';
 
 
 
 const params = {
-    naca: '2412',   // NACA 4-digit code
+    profileType: 'naca', // 'naca' or a parametric generator: 'cst', 'bezier', 'parsec'
+    naca: '2412',   // NACA 4/5-digit or 6-series code
     chord: 1.0,     // chord length
     points: 200,    // points per surface
     depth: 3,     // extrusion depth (spanwise)
     scale: 3.0,     // visual scale
+    te: 'open',     // trailing edge: 'open' (published), 'closed' (sharp) or 'finite'
+    teThickness: 0.25, // finite trailing-edge thickness (% chord)
+    imported: null, // airfoil parsed from a .dat file; overrides the NACA code while set
+    spacing: 'cosine', // point distribution: 'cosine', 'half-cosine', 'uniform' or 'adaptive'
+    minSegment: 0.1, // adaptive spacing: minimum segment length (% chord)
+    ...HIGH_LIFT_DEFAULTS, // flap hinge/deflection/gap and slat chord/deflection (see highlift.js)
+    // parameters for each parametric profile type (cst, bezier, parsec; see airfoilregistry.js)
+    ...Object.fromEntries(parametricFamilies().map(f => [f.name, JSON.parse(JSON.stringify(f.defaults))])),
 };
 
+// URL keys for the high-lift parameters
+const HIGH_LIFT_URL_KEYS = { flapHinge: 'flap', flapDeflection: 'flapdef', flapGap: 'flapgap', slatChord: 'slat', slatDeflection: 'slatdef' };
+
 // initialize params from URL query string if present so mode switches preserve state
 (function initParamsFromURL() {
     try {
         const p = new URLSearchParams(window.location.search);
-        const n = p.get('naca');
-        if (n) params.naca = String(n).replace(/\D/g, '');
+        const naca = normalizeAirfoilCode(p.get('naca'));
+        if (naca && isValidAirfoilCode(naca)) params.naca = naca;
         const chord = parseFloat(p.get('chord'));
         if (!Number.isNaN(chord)) params.chord = chord;
         const points = parseInt(p.get('points'), 10);
@@ -29,6 +50,34 @@ const params = {
         if (!Number.isNaN(depth)) params.depth = depth;
         const scale = parseFloat(p.get('scale'));
         if (!Number.isNaN(scale)) params.scale = scale;
+        const te = p.get('te');
+        if (TRAILING_EDGE_MODES.includes(te)) params.te = te;
+        const teThickness = parseFloat(p.get('tet'));
+        if (!Number.isNaN(teThickness)) params.teThickness = Math.max(0, teThickness);
+        const spacing = p.get('spacing');
+        if (SPACING_MODES.includes(spacing)) params.spacing = spacing;
+        const minSegment = parseFloat(p.get('minseg'));
+        if (!Number.isNaN(minSegment)) params.minSegment = Math.max(0, minSegment);
+        Object.entries(HIGH_LIFT_URL_KEYS).forEach(([key, urlKey]) => {
+            const v = parseFloat(p.get(urlKey));
+            if (!Number.isNaN(v)) params[key] = v;
+        });
+        // parametric profiles: type plus a JSON parameter set per type
+        parametricFamilies().forEach((family) => {
+            const raw = p.get(family.name);
+            if (!raw) return;
+            try {
+                const spec = JSON.parse(raw);
+                family.coordinates(spec, 1, 4);
+                params[family.name] = spec;
+            } catch (e) {
+                console.warn(`Ignoring invalid ${family.name} parameters in URL`);
+            }
+        });
+        const type = p.get('type');
+        if (type === 'naca' || parametricFamilies().some(f => f.name === type)) params.profileType = type;
+        // an imported .dat profile, kept in this tab's sessionStorage across mode switches
+        params.imported = loadImportedProfile(p.get('dat'));
     } catch (e) {
         // ignore
     }
@@ -95,11 +144,44 @@ const dir = new THREE.DirectionalLight(0xffffff, 3);
 dir.position.set(2, 2, 1);
 scene.add(dir);
 
+// 2D profile for the current params; shared by the mesh builder, the exporters
+// and (with a coarser n) the panel solver
+function currentProfilePoints(n = params.points) {
+    const options = { te: params.te, teThickness: params.teThickness, spacing: params.spacing, minSegment: params.minSegment };
+    return sourceCoordinates(profileSource(params), params.chord, n, options);
+}
+
+// camber line of the active section (numeric for imported and parametric profiles)
+function currentCamberLine() {
+    return sourceCamberLine(profileSource(params)) || contourCamberLine(currentProfilePoints(), params.chord);
+}
+
+function currentProfileName() {
+    return sourceName(profileSource(params));
+}
+
+// the profile as rendered: the contour alone, or its element contours
+// ([slat?, main, flap?], see highlift.js) when a device cuts it
+function currentExportProfile() {
+    const points = currentProfilePoints();
+    const elements = highLiftElements(points, params.chord, params);
+    return elements.length > 1 ? elements : points;
+}
+
+// true while a flap or slat is moved off the clean contour; the single-element
+// analyses (properties, Cp, polar, fit) then no longer describe the rendered profile
+const DEPLOYED_NOTE = 'unavailable while a flap or slat is deflected';
+function highLiftDeployed() {
+    const num = key => parseFloat(params[key]) || 0;
+    const moved = (num('slatChord') > 0 && num('slatDeflection') !== 0)
+        || (num('flapHinge') > 0 && (num('flapDeflection') !== 0 || num('flapGap') > 0));
+    return moved && highLiftElements(currentProfilePoints(), params.chord, params).length > 1;
+}
+
 // build airfoil mesh (updates in-place if a foil group already exists in the scene)
 function buildAirfoilMesh() {
-    const coordsFunc = (String(params.naca).replace(/\D/g, '').length === 5) ? naca5Coordinates : naca4Coordinates;
-    const shapePts = coordsFunc(params.naca, params.chord, params.points);
-    const shape = new THREE.Shape(shapePts);
+    // one shape per element when a flap or slat splits the profile
+    const shape = highLiftElements(currentProfilePoints(), params.chord, params).map(pts => new THREE.Shape(pts));
 
     // Extrude to give some span-wise thickness
     const extrudeSettings = {
@@ -183,26 +265,115 @@ scene.add(foil);
 // create span morph UI once and keep the controller so we can reattach a new foil
 // when geometry is rebuilt without recreating the UI (which would reset values)
 // create span morph UI and show panel in normal mode only
-const initialCoordsFunc = (String(params.naca).replace(/\D/g, '').length === 5) ? naca5Coordinates : naca4Coordinates;
 // read initial span-morph params from URL as well
 function readSpanParamsFromURL() {
     const p = new URLSearchParams(window.location.search);
     const s = parseFloat(p.get('start'));
     const f = parseFloat(p.get('factor'));
     const slices = parseInt(p.get('slices'), 10);
-    const shift = parseFloat(p.get('shift'));
+    const sweep = parseFloat(p.get('sweep'));
+    const innerSweep = parseFloat(p.get('sweepin'));
     const dihedral = parseFloat(p.get('dihedral'));
     const out = {};
     if (!Number.isNaN(s)) out.startPercent = Math.max(0, Math.min(1, s));
-    if (!Number.isNaN(f)) out.thicknessFactor = f;
+    if (!Number.isNaN(f)) out.taperRatio = f;
     if (!Number.isNaN(slices)) out.slices = slices;
-    if (!Number.isNaN(shift)) out.shiftAmount = shift;
+    if (!Number.isNaN(sweep)) out.sweepAngle = sweep * Math.PI / 180;
+    if (!Number.isNaN(innerSweep)) out.innerSweepAngle = innerSweep * Math.PI / 180;
+    if (SWEEP_REFERENCES[p.get('sweepref')] !== undefined) out.sweepReference = p.get('sweepref');
     if (!Number.isNaN(dihedral)) out.dihedralAngle = dihedral * Math.PI / 180;
+    // links from before sweep angles carry the outer panel's offset as a chord-unit shift
+    const shift = parseFloat(p.get('shift'));
+    if (!Number.isNaN(shift) && Number.isNaN(sweep)) {
+        const start = out.startPercent !== undefined ? out.startPercent : 0.5;
+        const angle = legacyShiftSweep(shift, start, out.taperRatio !== undefined ? out.taperRatio : 1, params.depth / params.chord);
+        if (angle !== null) {
+            out.sweepAngle = angle;
+            out.sweepReference = 'le';
+        }
+    }
+    // dihedral breaks ("eta:deg;...") for gull and polyhedral wings
+    const dihedralBreaks = p.get('dihbreaks');
+    if (dihedralBreaks) out.dihedralBreaks = dihedralBreaks;
+    // root/tip thickness-to-chord ratio (%), absent = the profile's own
+    const rootThickness = parseFloat(p.get('tcroot'));
+    if (rootThickness > 0) out.rootThickness = rootThickness;
+    const tipThickness = parseFloat(p.get('tctip'));
+    if (tipThickness > 0) out.tipThickness = tipThickness;
+    // root/tip airfoils and intermediate stations ("eta:code;...")
+    const root = p.get('root');
+    if (root && isValidAirfoilCode(normalizeAirfoilCode(root))) out.rootAirfoil = normalizeAirfoilCode(root);
+    const tip = p.get('tip');
+    if (tip && isValidAirfoilCode(normalizeAirfoilCode(tip))) out.tipAirfoil = normalizeAirfoilCode(tip);
+    const stations = p.get('stations');
+    if (stations) out.airfoilStations = stations;
+    // planform table ("eta,chord,offset,twist,dihedral[,airfoil]; ...")
+    const planform = p.get('planform');
+    if (planform) out.planform = planform;
+    // twist: root/tip incidence (°), distribution and rotation axis (chord fraction)
+    const rootIncidence = parseFloat(p.get('twroot'));
+    if (!Number.isNaN(rootIncidence)) out.rootIncidence = rootIncidence;
+    const tipIncidence = parseFloat(p.get('twtip'));
+    if (!Number.isNaN(tipIncidence)) out.tipIncidence = tipIncidence;
+    if (TWIST_MODES.includes(p.get('twmode'))) out.twistMode = p.get('twmode');
+    const twistStations = p.get('twist');
+    if (twistStations) out.twistStations = twistStations;
+    const twistAxis = parseFloat(p.get('twaxis'));
+    if (TWIST_AXES.includes(twistAxis)) out.twistAxis = twistAxis;
+    // chord distribution and its custom curve ("eta:ratio; ...")
+    if (CHORD_DISTRIBUTIONS.includes(p.get('cdist'))) out.chordDistribution = p.get('cdist');
+    const chordCurve = p.get('ccurve');
+    if (chordCurve) out.chordCurve = chordCurve;
+    // control surfaces ("type,from,to,hinge,deflection;...")
+    const controlSurfaces = p.get('ctrl');
+    if (controlSurfaces) out.controlSurfaces = controlSurfaces;
+    // wingtip treatment as JSON ({ tipShape, ... }, see wingtip.js)
+    try {
+        const wingtip = p.get('wingtip');
+        if (wingtip) out.wingtip = JSON.parse(wingtip);
+    } catch (e) {
+        console.warn('Ignoring invalid wingtip parameters in URL');
+    }
     return out;
 }
 
+// write span-morph values (as returned by getCurrentValues) into URL params
+function writeSpanParamsToURL(ps, s) {
+    ps.set('start', String(s.startPercent));
+    ps.set('factor', String(s.taperRatio));
+    ps.set('slices', String(s.slices));
+    ps.set('sweep', String(s.sweepAngle * 180 / Math.PI));
+    ps.set('sweepin', String(s.innerSweepAngle * 180 / Math.PI));
+    ps.set('sweepref', s.sweepReference);
+    // chord-unit shift from before sweep angles existed (converted on load)
+    ps.delete('shift');
+    ps.set('dihedral', String(s.dihedralAngle * 180 / Math.PI));
+    ps.set('twroot', String(s.rootIncidence));
+    ps.set('twtip', String(s.tipIncidence));
+    ps.set('twmode', s.twistMode);
+    ps.set('twaxis', String(s.twistAxis));
+    if (s.wingtip && s.wingtip.tipShape !== 'flat') ps.set('wingtip', JSON.stringify(s.wingtip)); else ps.delete('wingtip');
+    // the curve is only kept while it is in use
+    if (s.chordDistribution && s.chordDistribution !== 'planform') ps.set('cdist', s.chordDistribution); else ps.delete('cdist');
+    if (s.chordDistribution === 'custom') ps.set('ccurve', s.chordCurve); else ps.delete('ccurve');
+    [['tcroot', s.rootThickness], ['tctip', s.tipThickness], ['root', s.rootAirfoil], ['tip', s.tipAirfoil], ['stations', s.airfoilStations], ['planform', s.planform], ['twist', s.twistStations], ['dihbreaks', s.dihedralBreaks], ['ctrl', s.controlSurfaces]].forEach(([key, value]) => {
+        if (value) ps.set(key, value); else ps.delete(key);
+    });
+}
+
+// keep the URL in sync when the span-morph panel itself changes
+function onSpanMorphChange(values) {
+    try {
+        const ps = new URLSearchParams(window.location.search);
+        writeSpanParamsToURL(ps, values);
+        history.replaceState(null, '', '?' + ps.toString());
+    } catch (e) {
+        // ignore URL update failures
+    }
+}
+
 const spanInit = readSpanParamsFromURL();
-let spanMorphController = addSpanMorphUI(params, foil, initialCoordsFunc, Object.assign({ appendPanel: startMode === 'normal' }, spanInit));
+let spanMorphController = addSpanMorphUI(params, foil, Object.assign({ appendPanel: startMode === 'normal', onChange: startMode === 'normal' ? onSpanMorphChange : null }, spanInit));
 
 // rebuild helper that disposes previous geometry/materials properly (module scope)
 function rebuildFoil() {
@@ -480,16 +651,119 @@ function onWindowResize() {
         return row;
     }
 
-    // NACA input: allow 4 or 5 digits (text input, digits-only)
+    // NACA input: 4/5-digit codes or 6-series designations such as 63-215 / 64A010
     const nacaInput = document.createElement('input');
     nacaInput.type = 'text';
-    nacaInput.maxLength = 5;
+    nacaInput.maxLength = 16;
     nacaInput.value = params.naca;
     nacaInput.style.width = '100%';
-    // allow only digits while typing
+    // drop characters that cannot appear in a NACA designation while typing
     nacaInput.addEventListener('input', () => {
-        nacaInput.value = nacaInput.value.replace(/[^0-9]/g, '').slice(0, 5);
+        nacaInput.value = sanitizeNacaCode(nacaInput.value).slice(0, 16);
+    });
+
+    // profile type: a NACA code or one of the parametric generators
+    const profileTypeSelect = document.createElement('select');
+    [['naca', 'NACA code'], ...parametricFamilies().map(f => [f.name, f.label])].forEach(([value, text]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        profileTypeSelect.appendChild(opt);
+    });
+    profileTypeSelect.value = params.profileType;
+    profileTypeSelect.style.width = '100%';
+
+    function paramInput(value, step) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = step;
+        input.value = value;
+        input.style.width = '100%';
+        input.style.boxSizing = 'border-box';
+        return input;
+    }
+    function paramGrid() {
+        const grid = document.createElement('div');
+        Object.assign(grid.style, { display: 'grid', gridTemplateColumns: '1fr 1fr', columnGap: '6px' });
+        return grid;
+    }
+
+    // CST: Bernstein order, one weight per term and surface, trailing-edge thickness
+    const cstOrderInput = paramInput(params.cst.upper.length - 1, '1');
+    cstOrderInput.min = '1';
+    cstOrderInput.max = '12';
+    const cstDzInput = paramInput(params.cst.dz || 0, '0.0005');
+    const cstWeightsGrid = paramGrid();
+    let cstWeightInputs = { upper: [], lower: [] };
+    function buildCstWeightInputs(spec) {
+        cstWeightsGrid.innerHTML = '';
+        ['Upper weights', 'Lower weights'].forEach((text) => {
+            const head = document.createElement('div');
+            head.textContent = text;
+            cstWeightsGrid.appendChild(head);
+        });
+        cstWeightInputs = { upper: spec.upper.map(w => paramInput(w, '0.001')), lower: spec.lower.map(w => paramInput(w, '0.001')) };
+        spec.upper.forEach((w, i) => cstWeightsGrid.append(cstWeightInputs.upper[i], cstWeightInputs.lower[i]));
+    }
+    buildCstWeightInputs(params.cst);
+    // changing the order re-expresses the current shape with the new number of weights
+    cstOrderInput.addEventListener('change', () => {
+        const order = Math.max(1, Math.min(12, parseInt(cstOrderInput.value, 10) || 1));
+        cstOrderInput.value = order;
+        const weights = key => cstWeightInputs[key].map(inp => parseFloat(inp.value) || 0);
+        buildCstWeightInputs({ upper: cstChangeOrder(weights('upper'), order), lower: cstChangeOrder(weights('lower'), order) });
+        scheduleApply();
+    });
+    cstWeightsGrid.addEventListener('input', () => scheduleApply());
+    const cstPanel = document.createElement('div');
+    cstPanel.append(makeRow('CST order', cstOrderInput), cstWeightsGrid, makeRow('TE thickness Δz (chord)', cstDzInput));
+
+    // Bezier: control points per surface, leading edge to trailing edge
+    const formatControlPoints = pts => pts.map(p => `${p[0]}, ${p[1]}`).join('; ');
+    const parseControlPoints = text => text.split(';').map(v => v.trim()).filter(Boolean).map(v => v.split(',').map(Number));
+    const bezierUpperInput = document.createElement('input');
+    const bezierLowerInput = document.createElement('input');
+    [[bezierUpperInput, params.bezier.upper], [bezierLowerInput, params.bezier.lower]].forEach(([input, pts]) => {
+        input.type = 'text';
+        input.value = formatControlPoints(pts);
+        input.style.width = '100%';
+        input.style.boxSizing = 'border-box';
+    });
+    const bezierPanel = document.createElement('div');
+    bezierPanel.append(makeRow('Upper control points (x, y; ...)', bezierUpperInput), makeRow('Lower control points (x, y; ...)', bezierLowerInput));
+
+    // PARSEC: one input per parameter
+    const PARSEC_LABELS = {
+        rLE: 'LE radius', xUp: 'Upper crest x', yUp: 'Upper crest y', yxxUp: 'Upper crest y\'\'',
+        xLo: 'Lower crest x', yLo: 'Lower crest y', yxxLo: 'Lower crest y\'\'',
+        yTE: 'TE y', dyTE: 'TE thickness', alphaTE: 'TE direction (°)', betaTE: 'TE wedge (°)'
+    };
+    const parsecGrid = paramGrid();
+    const parsecInputs = {};
+    PARSEC_KEYS.forEach((key) => {
+        parsecInputs[key] = paramInput(params.parsec[key], key.endsWith('TE') && key !== 'yTE' && key !== 'dyTE' ? '0.1' : '0.001');
+        parsecGrid.appendChild(makeRow(PARSEC_LABELS[key], parsecInputs[key]));
     });
+    const parsecPanel = document.createElement('div');
+    parsecPanel.appendChild(parsecGrid);
+
+    // current editor values for a parametric type
+    function readParametricSpec(type) {
+        if (type === 'cst') {
+            return {
+                upper: cstWeightInputs.upper.map(inp => parseFloat(inp.value)),
+                lower: cstWeightInputs.lower.map(inp => parseFloat(inp.value)),
+                dz: parseFloat(cstDzInput.value) || 0
+            };
+        }
+        if (type === 'bezier') return { upper: parseControlPoints(bezierUpperInput.value), lower: parseControlPoints(bezierLowerInput.value) };
+        const spec = {};
+        PARSEC_KEYS.forEach((key) => {
+            spec[key] = parseFloat(parsecInputs[key].value);
+        });
+        return spec;
+    }
+    const parametricPanels = { cst: cstPanel, bezier: bezierPanel, parsec: parsecPanel };
 
     const chordInput = document.createElement('input');
     chordInput.type = 'number';
@@ -504,7 +778,30 @@ function onWindowResize() {
     pointsInput.min = '10';
     pointsInput.max = '2000';
     pointsInput.value = params.points;
-    pointsInput.style.width = '100%';
+    pointsInput.style.flex = '1';
+    pointsInput.style.minWidth = '0';
+
+    // point distribution along the chord, shown next to the point count
+    const spacingSelect = document.createElement('select');
+    [['cosine', 'Cosine'], ['half-cosine', 'Half-cosine (LE)'], ['uniform', 'Uniform'], ['adaptive', 'Curvature-adaptive']].forEach(([value, text]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        spacingSelect.appendChild(opt);
+    });
+    spacingSelect.value = params.spacing;
+    const pointsGroup = document.createElement('div');
+    pointsGroup.style.display = 'flex';
+    pointsGroup.style.gap = '4px';
+    pointsGroup.append(pointsInput, spacingSelect);
+
+    const minSegmentInput = document.createElement('input');
+    minSegmentInput.type = 'number';
+    minSegmentInput.step = '0.05';
+    minSegmentInput.min = '0';
+    minSegmentInput.max = '5';
+    minSegmentInput.value = params.minSegment;
+    minSegmentInput.style.width = '100%';
 
     const depthInput = document.createElement('input');
     depthInput.type = 'number';
@@ -519,14 +816,500 @@ function onWindowResize() {
     scaleInput.value = params.scale;
     scaleInput.style.width = '100%';
 
+    const teSelect = document.createElement('select');
+    [['open', 'Open (standard)'], ['closed', 'Closed (sharp)'], ['finite', 'Finite thickness']].forEach(([value, text]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        teSelect.appendChild(opt);
+    });
+    teSelect.value = params.te;
+    teSelect.style.width = '100%';
+
+    const teThicknessInput = document.createElement('input');
+    teThicknessInput.type = 'number';
+    teThicknessInput.step = '0.05';
+    teThicknessInput.min = '0';
+    teThicknessInput.max = '5';
+    teThicknessInput.value = params.teThickness;
+    teThicknessInput.style.width = '100%';
+
     // inputs will auto-apply on change; no visible Apply button needed
 
     // assemble panel rows
-    panel.appendChild(makeRow('NACA (4/5-digit)', nacaInput));
+    panel.appendChild(makeRow('Profile type', profileTypeSelect));
+    const nacaRow = makeRow('NACA (4/5-digit, MPTT-IT, 6-series)', nacaInput);
+    panel.appendChild(nacaRow);
+    Object.values(parametricPanels).forEach(el => panel.appendChild(el));
+    // show the NACA field or the parameter inputs of the selected profile type
+    function updateProfileTypeRows() {
+        nacaRow.style.display = params.profileType === 'naca' ? '' : 'none';
+        Object.entries(parametricPanels).forEach(([type, el]) => {
+            el.style.display = params.profileType === type ? '' : 'none';
+        });
+    }
+    updateProfileTypeRows();
     panel.appendChild(makeRow('Chord', chordInput));
-    panel.appendChild(makeRow('Points', pointsInput));
+    panel.appendChild(makeRow('Points / spacing', pointsGroup));
+    const minSegmentRow = makeRow('Min segment (% chord)', minSegmentInput);
+    minSegmentRow.style.display = params.spacing === 'adaptive' ? '' : 'none';
+    panel.appendChild(minSegmentRow);
     panel.appendChild(makeRow('Depth', depthInput));
     panel.appendChild(makeRow('Scale', scaleInput));
+    panel.appendChild(makeRow('Trailing edge', teSelect));
+    const teThicknessRow = makeRow('TE thickness (% chord)', teThicknessInput);
+    teThicknessRow.style.display = params.te === 'finite' ? '' : 'none';
+    panel.appendChild(teThicknessRow);
+
+    // high-lift devices: trailing-edge flap and leading-edge slat
+    function highLiftInput(key, step, min, max) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = step;
+        input.min = min;
+        input.max = max;
+        input.value = params[key];
+        input.style.width = '100%';
+        return input;
+    }
+    const highLiftInputs = {
+        flapHinge: highLiftInput('flapHinge', '1', '0', '99'),
+        flapDeflection: highLiftInput('flapDeflection', '1', '-30', '60'),
+        flapGap: highLiftInput('flapGap', '0.1', '0', '10'),
+        slatChord: highLiftInput('slatChord', '1', '0', '50'),
+        slatDeflection: highLiftInput('slatDeflection', '1', '-10', '40')
+    };
+    const highLiftGrid = document.createElement('div');
+    Object.assign(highLiftGrid.style, { display: 'grid', gridTemplateColumns: '1fr 1fr', columnGap: '6px' });
+    [
+        ['Flap hinge (% c, 0 = off)', 'flapHinge'],
+        ['Flap δ (°, TE down)', 'flapDeflection'],
+        ['Flap gap (% c)', 'flapGap'],
+        ['Slat chord (% c, 0 = off)', 'slatChord'],
+        ['Slat δ (°, nose down)', 'slatDeflection']
+    ].forEach(([label, key]) => highLiftGrid.appendChild(makeRow(label, highLiftInputs[key])));
+    panel.appendChild(makeRow('High-lift devices', highLiftGrid));
+
+    // .dat import (Selig or Lednicer): file picker plus drag-and-drop onto the page
+    const datInput = document.createElement('input');
+    datInput.type = 'file';
+    datInput.accept = '.dat,.txt';
+    datInput.style.width = '100%';
+
+    const importedLabel = document.createElement('div');
+    Object.assign(importedLabel.style, { fontSize: '11px', opacity: '0.8', marginTop: '3px' });
+
+    const clearImportBtn = document.createElement('button');
+    clearImportBtn.textContent = 'Use NACA code';
+    Object.assign(clearImportBtn.style, { width: '100%', padding: '4px', marginTop: '4px', cursor: 'pointer', background: '#444', color: '#fff', border: 'none' });
+
+    function updateImportedLabel() {
+        importedLabel.textContent = params.imported ? `Imported: ${params.imported.name} (${params.imported.format})` : 'No file loaded';
+        clearImportBtn.style.display = params.imported ? '' : 'none';
+        nacaInput.style.opacity = params.imported ? '0.5' : '';
+    }
+
+    function loadDatFile(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                params.imported = parseDatFile(reader.result, file.name.replace(/\.[^.]+$/, ''));
+            } catch (e) {
+                console.warn('Could not import airfoil file:', e.message);
+                return;
+            }
+            updateImportedLabel();
+            applyInputs();
+        };
+        reader.readAsText(file);
+    }
+
+    datInput.addEventListener('change', () => loadDatFile(datInput.files && datInput.files[0]));
+    clearImportBtn.addEventListener('click', () => {
+        params.imported = null;
+        datInput.value = '';
+        updateImportedLabel();
+        applyInputs();
+    });
+    if (startMode === 'normal') {
+        window.addEventListener('dragover', (ev) => ev.preventDefault());
+        window.addEventListener('drop', (ev) => {
+            ev.preventDefault();
+            const file = ev.dataTransfer && ev.dataTransfer.files && ev.dataTransfer.files[0];
+            loadDatFile(file);
+        });
+    }
+
+    const datRow = makeRow('Airfoil file (.dat, or drop here)', datInput);
+    datRow.appendChild(importedLabel);
+    datRow.appendChild(clearImportBtn);
+    panel.appendChild(datRow);
+    updateImportedLabel();
+
+    // least-squares fit of the active profile (usually an imported one) to the
+    // nearest NACA 4/5-digit code or to CST weights of the current CST order
+    const fitResult = document.createElement('div');
+    Object.assign(fitResult.style, { fontSize: '11px', marginTop: '4px', whiteSpace: 'pre-line' });
+    const fitApplyBtn = document.createElement('button');
+    fitApplyBtn.textContent = 'Apply fit';
+    let pendingFit = null;
+
+    function applyFit() {
+        if (!pendingFit) return;
+        // same path as the inputs: set the editor values, then applyInputs()
+        params.imported = null;
+        datInput.value = '';
+        updateImportedLabel();
+        if (pendingFit.type === 'naca') {
+            nacaInput.value = pendingFit.code;
+        } else {
+            cstOrderInput.value = pendingFit.spec.upper.length - 1;
+            cstDzInput.value = pendingFit.spec.dz;
+            buildCstWeightInputs(pendingFit.spec);
+        }
+        profileTypeSelect.value = pendingFit.type;
+        applyInputs();
+    }
+
+    function runFit(type) {
+        try {
+            const pts = currentProfilePoints();
+            if (type === 'naca') {
+                const matches = fitNacaCode(pts, params.chord);
+                if (!matches.length) throw new Error('no candidate matched');
+                pendingFit = { type: 'naca', code: matches[0].code };
+                fitResult.textContent = matches.map((m, i) => `${i === 0 ? '▶' : ' '} NACA ${m.code} (${m.family}) RMS ${(m.rms * 100).toFixed(3)}% c`).join('\n');
+            } else {
+                const order = Math.max(1, Math.min(12, parseInt(cstOrderInput.value, 10) || 5));
+                const fit = fitCstWeights(pts, params.chord, order);
+                pendingFit = { type: 'cst', spec: fit.spec };
+                fitResult.textContent = `CST order ${order}: RMS ${(fit.rms * 100).toFixed(3)}% c`;
+            }
+            fitApplyBtn.style.display = '';
+        } catch (e) {
+            console.warn('Profile fit failed:', e.message);
+            pendingFit = null;
+            fitResult.textContent = 'Fit unavailable';
+            fitApplyBtn.style.display = 'none';
+        }
+    }
+
+    const fitRow = document.createElement('div');
+    fitRow.style.display = 'flex';
+    fitRow.style.gap = '4px';
+    const fitButtons = [['Fit NACA', () => runFit('naca')], ['Fit CST', () => runFit('cst')]].map(([text, handler]) => {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        btn.addEventListener('click', handler);
+        fitRow.appendChild(btn);
+        return btn;
+    });
+    fitRow.appendChild(fitApplyBtn);
+    [...fitRow.children].forEach((btn) => {
+        Object.assign(btn.style, { flex: '1', padding: '4px', cursor: 'pointer', background: '#444', color: '#fff', border: 'none' });
+    });
+    fitApplyBtn.style.display = 'none';
+    fitApplyBtn.addEventListener('click', applyFit);
+    const fitSection = makeRow('Nearest NACA / CST fit', fitRow);
+    fitSection.appendChild(fitResult);
+    panel.appendChild(fitSection);
+
+    // export the active profile exactly as rendered (chord is taken in the chosen unit)
+    const unitSelect = document.createElement('select');
+    ['mm', 'cm', 'm', 'in'].forEach((u) => {
+        const opt = document.createElement('option');
+        opt.value = u;
+        opt.textContent = u;
+        unitSelect.appendChild(opt);
+    });
+    unitSelect.style.width = '100%';
+
+    function downloadText(text, filename, type) {
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function exportFileName(ext) {
+        return `${currentProfileName().replace(/[^\w.-]+/g, '_')}.${ext}`;
+    }
+
+    const exportRow = document.createElement('div');
+    exportRow.style.display = 'flex';
+    exportRow.style.gap = '4px';
+    [
+        ['.dat', () => downloadText(toSeligDat(currentExportProfile(), params.chord, currentProfileName()), exportFileName('dat'), 'text/plain')],
+        ['CSV', () => downloadText(toCsv(currentExportProfile(), params.chord, unitSelect.value), exportFileName('csv'), 'text/csv')],
+        ['SVG', () => downloadText(toSvg(currentExportProfile(), params.chord, currentProfileName(), unitSelect.value), exportFileName('svg'), 'image/svg+xml')]
+    ].forEach(([text, handler]) => {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        Object.assign(btn.style, { flex: '1', padding: '4px', cursor: 'pointer', background: '#444', color: '#fff', border: 'none' });
+        btn.addEventListener('click', handler);
+        exportRow.appendChild(btn);
+    });
+    const exportSection = makeRow('Export profile (chord units)', unitSelect);
+    exportRow.style.marginTop = '4px';
+    exportSection.appendChild(exportRow);
+    panel.appendChild(exportSection);
+
+    // live geometric properties of the active profile (chord units, x from the LE)
+    const propsDiv = document.createElement('div');
+    Object.assign(propsDiv.style, { fontFamily: 'monospace', fontSize: '11px', lineHeight: '1.4', marginTop: '6px', padding: '6px', background: 'rgba(0,0,0,0.25)', borderRadius: '4px' });
+    panel.appendChild(propsDiv);
+
+    function updatePropertiesReadout() {
+        if (highLiftDeployed()) {
+            propsDiv.textContent = `Properties ${DEPLOYED_NOTE}`;
+            return;
+        }
+        try {
+            const c = params.chord;
+            const g = computeAirfoilProperties(currentProfilePoints(), c);
+            const pct = v => (v / c * 100).toFixed(2) + '%';
+            const num = v => Math.abs(v) < 1e-3 ? v.toExponential(3) : v.toFixed(4);
+            propsDiv.innerHTML = `
+                <div><strong></strong></div>
+                <div>t max: ${num(g.maxThickness)} (${pct(g.maxThickness)}) @ ${pct(g.maxThicknessX)}</div>
+                <div>camber: ${num(g.maxCamber)} (${pct(g.maxCamber)}) @ ${pct(g.maxCamberX)}</div>
+                <div>LE radius: ${num(g.leRadius)} (${pct(g.leRadius)})</div>
+                <div>TE angle: ${g.teAngle.toFixed(2)}°</div>
+                <div>Area: ${num(g.area)}</div>
+                <div>Centroid: (${num(g.centroid.x)}, ${num(g.centroid.y)})</div>
+                <div>Ixx: ${num(g.Ixx)} Iyy: ${num(g.Iyy)}</div>
+                <div>Ixy: ${num(g.Ixy)}</div>
+            `;
+            // the name may come from an imported file, so it is set as text
+            propsDiv.querySelector('strong').textContent = currentProfileName();
+        } catch (e) {
+            propsDiv.textContent = 'Properties unavailable';
+        }
+    }
+    updatePropertiesReadout();
+
+    // small thin-airfoil theory panel (normal mode only)
+    const aeroPanel = document.createElement('div');
+    Object.assign(aeroPanel.style, {
+        position: 'absolute',
+        bottom: '10px',
+        left: '10px',
+        padding: '8px',
+        background: 'rgba(20,30,40,0.9)',
+        color: '#fff',
+        fontFamily: 'monospace',
+        fontSize: '11px',
+        lineHeight: '1.4',
+        borderRadius: '6px',
+        zIndex: 9999,
+        minWidth: '180px'
+    });
+
+    function updateAeroReadout() {
+        if (highLiftDeployed()) {
+            aeroPanel.textContent = `Aero estimates ${DEPLOYED_NOTE}`;
+            return;
+        }
+        try {
+            const a = thinAirfoilEstimates(currentCamberLine());
+            aeroPanel.innerHTML = `
+                <div style="margin-bottom:3px;"><strong>Thin-airfoil theory</strong></div>
+                <div>α L=0: ${a.alphaL0.toFixed(2)}°</div>
+                <div>Cl α: ${a.clAlpha.toFixed(3)} /rad (${a.clAlphaDeg.toFixed(4)} /°)</div>
+                <div>α ideal: ${a.alphaIdeal.toFixed(2)}° (Cl ${a.clIdeal.toFixed(3)})</div>
+                <div>Cm c/4: ${a.cmQuarter.toFixed(4)}</div>
+            `;
+        } catch (e) {
+            aeroPanel.textContent = 'Aero estimates unavailable';
+        }
+    }
+    updateAeroReadout();
+
+    // inviscid Cp plot from the panel solver (normal mode only)
+    const cpPanel = document.createElement('div');
+    Object.assign(cpPanel.style, {
+        position: 'absolute',
+        bottom: '10px',
+        right: '10px',
+        padding: '8px',
+        background: 'rgba(20,30,40,0.9)',
+        color: '#fff',
+        fontFamily: 'sans-serif',
+        fontSize: '12px',
+        borderRadius: '6px',
+        zIndex: 9999
+    });
+    const alphaInput = document.createElement('input');
+    alphaInput.type = 'number';
+    alphaInput.step = '0.5';
+    alphaInput.min = '-20';
+    alphaInput.max = '20';
+    alphaInput.value = '0';
+    alphaInput.style.width = '60px';
+    const alphaRow = document.createElement('div');
+    alphaRow.style.marginBottom = '4px';
+    alphaRow.append('Panel method — α (°) ', alphaInput);
+    const cpCanvas = document.createElement('canvas');
+    cpCanvas.width = 320;
+    cpCanvas.height = 200;
+    cpCanvas.style.display = 'block';
+    cpPanel.append(alphaRow, cpCanvas);
+
+    // draws -Cp (suction up) against x/c, upper surface blue and lower surface orange
+    function drawCpPlot(result) {
+        const ctx = cpCanvas.getContext('2d');
+        const w = cpCanvas.width, h = cpCanvas.height;
+        const pad = { l: 30, r: 8, t: 8, b: 30 };
+        ctx.clearRect(0, 0, w, h);
+        const values = result.cp.map(p => -p.cp);
+        const maxV = Math.max(1, ...values);
+        const minV = Math.min(-1, ...values);
+        const px = x => pad.l + x * (w - pad.l - pad.r);
+        const py = v => pad.t + (maxV - v) / (maxV - minV) * (h - pad.t - pad.b);
+
+        ctx.strokeStyle = '#667';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(px(0), py(0)); ctx.lineTo(px(1), py(0));
+        ctx.moveTo(px(0), py(minV)); ctx.lineTo(px(0), py(maxV));
+        ctx.stroke();
+        ctx.fillStyle = '#aab';
+        ctx.font = '10px sans-serif';
+        ctx.fillText(maxV.toFixed(1), 2, py(maxV) + 8);
+        ctx.fillText(minV.toFixed(1), 2, py(minV));
+        ctx.fillText('-Cp', 2, py(0) - 2);
+        ctx.fillText('x/c', w - pad.r - 16, h - pad.b + 12);
+
+        for (const [upper, color] of [[true, '#4fa3ff'], [false, '#ffa040']]) {
+            const pts = result.cp.filter(p => p.upper === upper).sort((a, b) => a.x - b.x);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            pts.forEach((p, i) => (i === 0 ? ctx.moveTo(px(p.x), py(-p.cp)) : ctx.lineTo(px(p.x), py(-p.cp))));
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#fff';
+        ctx.font = '12px monospace';
+        ctx.fillText(`Cl ${result.cl.toFixed(3)}  Cm c/4 ${result.cm.toFixed(4)}`, pad.l + 4, h - 6);
+    }
+
+    function updateCpPlot() {
+        try {
+            if (highLiftDeployed()) throw new Error('high-lift devices deflected');
+            const alpha = parseFloat(alphaInput.value) || 0;
+            // the solver is O(panels^3), so analyse a coarser copy of the same profile
+            const n = Math.min(params.points, 80);
+            drawCpPlot(solvePanelMethod(currentProfilePoints(n), alpha, params.chord));
+        } catch (e) {
+            const ctx = cpCanvas.getContext('2d');
+            ctx.clearRect(0, 0, cpCanvas.width, cpCanvas.height);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(highLiftDeployed() ? `Panel solution ${DEPLOYED_NOTE}` : 'Panel solution unavailable', 10, 20);
+        }
+    }
+    updateCpPlot();
+    let cpDebounce = null;
+    alphaInput.addEventListener('input', () => {
+        clearTimeout(cpDebounce);
+        cpDebounce = setTimeout(updateCpPlot, 150);
+    });
+
+    // viscous polar: alpha sweep with the boundary-layer correction, on demand (it takes a moment)
+    function polarInput(value, step, width) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = step;
+        input.value = value;
+        input.style.width = width;
+        return input;
+    }
+    const reInput = polarInput('1000000', '100000', '80px');
+    reInput.min = '10000';
+    const polarStart = polarInput('-4', '0.5', '44px');
+    const polarEnd = polarInput('12', '0.5', '44px');
+    const polarStep = polarInput('1', '0.5', '44px');
+    polarStep.min = String(MIN_POLAR_STEP);
+    const polarRow = document.createElement('div');
+    polarRow.style.margin = '6px 0 4px';
+    polarRow.append('Re ', reInput, ' α ', polarStart, ' → ', polarEnd, ' step ', polarStep);
+
+    const polarButtons = document.createElement('div');
+    polarButtons.style.display = 'flex';
+    polarButtons.style.gap = '4px';
+    const computePolarBtn = document.createElement('button');
+    computePolarBtn.textContent = 'Compute polar';
+    const polarCsvBtn = document.createElement('button');
+    polarCsvBtn.textContent = 'Polar CSV';
+    polarCsvBtn.disabled = true;
+    [computePolarBtn, polarCsvBtn].forEach((btn) => {
+        Object.assign(btn.style, { flex: '1', padding: '4px', cursor: 'pointer', background: '#444', color: '#fff', border: 'none' });
+        polarButtons.appendChild(btn);
+    });
+
+    const polarTable = document.createElement('div');
+    Object.assign(polarTable.style, { maxHeight: '160px', overflowY: 'auto', marginTop: '4px', fontFamily: 'monospace', fontSize: '11px' });
+    cpPanel.append(polarRow, polarButtons, polarTable);
+
+    let lastPolar = null;
+
+    // the fit and the polar work on the clean contour only
+    function updateAnalysisButtons() {
+        const deployed = highLiftDeployed();
+        [...fitButtons, computePolarBtn].forEach((btn) => {
+            btn.disabled = deployed;
+            btn.title = deployed ? `Analysis ${DEPLOYED_NOTE}` : '';
+            btn.style.opacity = deployed ? '0.5' : '';
+        });
+        if (deployed) {
+            pendingFit = null;
+            fitApplyBtn.style.display = 'none';
+        }
+    }
+    updateAnalysisButtons();
+    function renderPolarTable(polar) {
+        const fmt = (v, d) => (Number.isFinite(v) ? v.toFixed(d) : '—');
+        const rows = polar.rows.map(r => `<tr><td>${fmt(r.alpha, 1)}</td><td>${fmt(r.cl, 3)}</td><td>${fmt(r.cd, 5)}</td><td>${fmt(r.cm, 4)}</td><td>${fmt(r.cl / r.cd, 1)}</td><td>${fmt(r.xtrUpper, 2)}</td><td>${fmt(r.xtrLower, 2)}</td></tr>`).join('');
+        polarTable.innerHTML = `
+            <div></div>
+            <table style="border-collapse:collapse;width:100%;text-align:right">
+                <tr><th>α</th><th>Cl</th><th>Cd</th><th>Cm</th><th>L/D</th><th>xtr up</th><th>xtr lo</th></tr>
+                ${rows}
+            </table>
+        `;
+        polarTable.firstElementChild.textContent = `${polar.name} — Re ${polar.reynolds.toExponential(2)}`;
+    }
+
+    computePolarBtn.addEventListener('click', () => {
+        const reynolds = Math.max(1e4, parseFloat(reInput.value) || 1e6);
+        const options = {
+            reynolds,
+            alphaStart: parseFloat(polarStart.value) || 0,
+            alphaEnd: parseFloat(polarEnd.value) || 0,
+            alphaStep: parseFloat(polarStep.value) || 1
+        };
+        polarTable.textContent = 'Computing…';
+        // let the status text paint before the sweep blocks the main thread
+        setTimeout(() => {
+            try {
+                const n = Math.min(params.points, 80);
+                lastPolar = { name: currentProfileName(), reynolds, rows: computePolar(currentProfilePoints(n), options) };
+                renderPolarTable(lastPolar);
+                polarCsvBtn.disabled = false;
+            } catch (e) {
+                console.warn('Polar computation failed', e);
+                polarTable.textContent = 'Polar unavailable';
+            }
+        }, 20);
+    });
+    polarCsvBtn.addEventListener('click', () => {
+        if (!lastPolar) return;
+        downloadText(polarToCsv(lastPolar.rows, lastPolar.reynolds), exportFileName(`re${Math.round(lastPolar.reynolds)}.polar.csv`), 'text/csv');
+    });
     // Note: Apply button removed — changes are applied automatically
 
     // Note: standalone Reset button removed — Normal button performs reset
@@ -582,29 +1365,62 @@ function onWindowResize() {
     // attach main control panel only in normal mode
     if (startMode === 'normal') {
         document.body.appendChild(panel);
+        document.body.appendChild(aeroPanel);
+        document.body.appendChild(cpPanel);
     }
 
     // auto-apply function: read inputs and rebuild immediately (debounced)
     function applyInputs() {
-        // NACA: accept 4 or 5 digit codes
-        const raw = String(nacaInput.value || '').replace(/\D/g, '');
-        let nacaStr = params.naca;
-        if (raw.length === 5) {
-            nacaStr = raw;
+        // NACA: any designation a registered family recognises (6-series, 5-digit, 4-digit, MPTT-IT)
+        let nacaStr = normalizeAirfoilCode(nacaInput.value);
+        // reject designations without a valid definition (e.g. 5-digit P=0) instead of substituting another airfoil
+        if (!isValidAirfoilCode(nacaStr)) {
+            console.warn(`Ignoring invalid NACA code: ${nacaInput.value}`);
+            nacaInput.style.outline = '2px solid #ff5555';
+            nacaStr = params.naca;
         } else {
-            let nacaVal = parseInt(raw, 10) || 0;
-            nacaVal = Math.max(0, Math.min(9999, nacaVal));
-            nacaStr = String(nacaVal).padStart(4, '0');
+            nacaInput.style.outline = '';
         }
 
         params.naca = nacaStr;
+        const parametric = parametricFamilies().find(f => f.name === profileTypeSelect.value) || null;
+        params.profileType = parametric ? parametric.name : 'naca';
+        if (parametric) {
+            // keep the previous parameters when the edited set cannot produce a profile
+            const spec = readParametricSpec(params.profileType);
+            try {
+                parametric.coordinates(spec, 1, 4);
+                params[params.profileType] = spec;
+                parametricPanels[params.profileType].style.outline = '';
+            } catch (e) {
+                console.warn(`Ignoring invalid ${parametric.label} parameters: ${e.message}`);
+                parametricPanels[params.profileType].style.outline = '2px solid #ff5555';
+            }
+        }
+        updateProfileTypeRows();
         params.chord = Math.max(0.001, parseFloat(chordInput.value) || params.chord);
         params.points = Math.max(10, Math.min(2000, parseInt(pointsInput.value, 10) || params.points));
         params.depth = Math.max(0.001, parseFloat(depthInput.value) || params.depth);
         params.scale = Math.max(0.01, parseFloat(scaleInput.value) || params.scale);
+        params.te = TRAILING_EDGE_MODES.includes(teSelect.value) ? teSelect.value : 'open';
+        const teThickness = parseFloat(teThicknessInput.value);
+        if (!Number.isNaN(teThickness)) params.teThickness = Math.max(0, teThickness);
+        teThicknessRow.style.display = params.te === 'finite' ? '' : 'none';
+        params.spacing = SPACING_MODES.includes(spacingSelect.value) ? spacingSelect.value : 'cosine';
+        const minSegment = parseFloat(minSegmentInput.value);
+        if (!Number.isNaN(minSegment)) params.minSegment = Math.max(0, minSegment);
+        minSegmentRow.style.display = params.spacing === 'adaptive' ? '' : 'none';
+        Object.entries(highLiftInputs).forEach(([key, input]) => {
+            const v = parseFloat(input.value);
+            if (!Number.isNaN(v)) params[key] = v;
+        });
 
         // rebuild using module-level helper (keeps resource disposal correct)
         rebuildFoil();
+        updatePropertiesReadout();
+        updateAeroReadout();
+        updateCpPlot();
+        updateAnalysisButtons();
         // reattach the existing span-morph controller to the newly built foil so
         // current UI values (morph parameters) are preserved instead of creating
         // a new UI which would reset fields.
@@ -616,18 +1432,26 @@ function onWindowResize() {
         try {
             const ps = new URLSearchParams(window.location.search);
             ps.set('naca', params.naca);
+            ps.set('type', params.profileType);
+            if (params.profileType !== 'naca') ps.set(params.profileType, JSON.stringify(params[params.profileType]));
+            if (params.imported) {
+                ps.set('dat', params.imported.name);
+                storeImportedProfile(params.imported);
+            } else {
+                ps.delete('dat');
+            }
             ps.set('chord', String(params.chord));
             ps.set('points', String(params.points));
             ps.set('depth', String(params.depth));
             ps.set('scale', String(params.scale));
+            ps.set('te', params.te);
+            ps.set('tet', String(params.teThickness));
+            ps.set('spacing', params.spacing);
+            ps.set('minseg', String(params.minSegment));
+            Object.entries(HIGH_LIFT_URL_KEYS).forEach(([key, urlKey]) => ps.set(urlKey, String(params[key])));
             // span morph values
             if (spanMorphController && typeof spanMorphController.getCurrentValues === 'function') {
-                const s = spanMorphController.getCurrentValues();
-                ps.set('start', String(s.startPercent));
-                ps.set('factor', String(s.thicknessFactor));
-                ps.set('slices', String(s.slices));
-                ps.set('shift', String(s.shiftAmount));
-                ps.set('dihedral', String(s.dihedralAngle * 180 / Math.PI));
+                writeSpanParamsToURL(ps, spanMorphController.getCurrentValues());
             }
             // preserve mode param if present
             const mode = (new URLSearchParams(window.location.search)).get('mode');
@@ -643,7 +1467,20 @@ function onWindowResize() {
         clearTimeout(debounceTimer);
         debounceTimer = setTimeout(() => applyInputs(), 250);
     }
-    [nacaInput, chordInput, pointsInput, depthInput, scaleInput].forEach((inp) => {
+    // typing a NACA code switches back from an imported profile
+    nacaInput.addEventListener('input', () => {
+        if (!params.imported) return;
+        params.imported = null;
+        datInput.value = '';
+        updateImportedLabel();
+    });
+    // picking a profile type also switches back from an imported profile
+    profileTypeSelect.addEventListener('change', () => {
+        params.imported = null;
+        datInput.value = '';
+        updateImportedLabel();
+    });
+    [nacaInput, profileTypeSelect, cstDzInput, bezierUpperInput, bezierLowerInput, ...Object.values(parsecInputs), chordInput, pointsInput, spacingSelect, minSegmentInput, depthInput, scaleInput, teSelect, teThicknessInput, ...Object.values(highLiftInputs)].forEach((inp) => {
         inp.addEventListener('input', scheduleApply);
     });
 })();
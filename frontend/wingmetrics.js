@@ -0,0 +1,82 @@
+// Reference numbers of the span-morph wing. The builder makes one half; the
+// metrics describe the whole wing (that half and its mirror image) unless
+// `mirrored` is false. Lengths are in the units of the dimensions passed in:
+//   area          reference (planform) area
+//   mac           mean aerodynamic chord
+//   macY          spanwise position of the MAC from the root
+//   macX          its leading edge aft of the root leading edge
+//   acX           quarter-MAC point (aerodynamic centre estimate), same origin
+//   span          reference span, aspect ratio = span² / area
+//   taperRatio    tip chord / root chord
+// Volume and projected area and span come from the mesh (geometryMetrics).
+
+// ∫0..1 (p0 + p1·t)(q0 + q1·t) dt
+function productIntegral(p0, p1, q0, q1) {
+    return p0 * q0 + (p0 * q1 + p1 * q0) / 2 + p1 * q1 / 3;
+}
+
+// From complete stations with their final offsets (see planform.js).
+// dims: { span (root-to-tip along the panels), chord (length of a unit profile chord),
+//         mirrored (default true) }
+export function planformMetrics(stations, dims) {
+    const { span, chord, mirrored = true } = dims;
+    let area = 0, c2 = 0, cy = 0, cx = 0;
+    for (let k = 0; k < stations.length - 1; k++) {
+        const a = stations[k];
+        const b = stations[k + 1];
+        const length = (b.eta - a.eta) * span;
+        if (length <= 0) continue;
+        // chord, root distance and leading edge along the panel, all linear in t
+        const c0 = a.chord * chord, c1 = (b.chord - a.chord) * chord;
+        const y0 = a.eta * span, y1 = length;
+        const x0 = a.offset * chord, x1 = (b.offset - a.offset) * chord;
+        area += length * (c0 + c1 / 2);
+        c2 += length * productIntegral(c0, c1, c0, c1);
+        cy += length * productIntegral(c0, c1, y0, y1);
+        cx += length * productIntegral(c0, c1, x0, x1);
+    }
+    const halves = mirrored ? 2 : 1;
+    const mac = area > 0 ? c2 / area : 0;
+    const macX = area > 0 ? cx / area : 0;
+    const fullSpan = span * halves;
+    return {
+        area: area * halves,
+        mac,
+        macY: area > 0 ? cy / area : 0,
+        macX,
+        acX: macX + 0.25 * mac,
+        span: fullSpan,
+        aspectRatio: area > 0 ? fullSpan * fullSpan / (area * halves) : 0,
+        taperRatio: stations.length ? stations[stations.length - 1].chord / stations[0].chord : 1
+    };
+}
+
+// From a generated, closed mesh (BufferGeometry in the builder's frame, span along z):
+// enclosed volume by the divergence theorem, projected span from the z extent and
+// projected planform area as half the xz-projection of the whole surface.
+export function geometryMetrics(geometry, mirrored = true) {
+    const pos = geometry.attributes.position;
+    const index = geometry.index;
+    const count = index ? index.count : pos.count;
+    const vertex = (i) => {
+        const k = index ? index.getX(i) : i;
+        return [pos.getX(k), pos.getY(k), pos.getZ(k)];
+    };
+    let volume = 0, projected = 0;
+    for (let i = 0; i + 2 < count; i += 3) {
+        const [a, b, c] = [vertex(i), vertex(i + 1), vertex(i + 2)];
+        volume += (a[0] * (b[1] * c[2] - b[2] * c[1]) + a[1] * (b[2] * c[0] - b[0] * c[2]) + a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+        projected += Math.abs((b[2] - a[2]) * (c[0] - a[0]) - (b[0] - a[0]) * (c[2] - a[2])) / 2;
+    }
+    let zMin = Infinity, zMax = -Infinity;
+    for (let k = 0; k < pos.count; k++) {
+        zMin = Math.min(zMin, pos.getZ(k));
+        zMax = Math.max(zMax, pos.getZ(k));
+    }
+    const halves = mirrored ? 2 : 1;
+    return {
+        volume: Math.abs(volume) * halves,
+        projectedArea: projected / 2 * halves,
+        projectedSpan: pos.count ? (zMax - zMin) * halves : 0
+    };
+}
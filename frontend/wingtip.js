@@ -0,0 +1,163 @@
+import { interpolateSurface } from './airfoilprops.js';
+
+// Wingtip treatments for the span-morph mesh. Each one continues the tube of
+// an element beyond the last slice as extra rings; the mesh builder closes
+// the final ring with its usual cap, so a 'flat' tip adds nothing.
+//   rounded   the section closes onto its mean line on a half-round edge
+//   hoerner   the upper surface rolls down onto the flat lower surface,
+//             leaving a sharp lower edge one local thickness outboard
+//   raked     an extra panel of `tipLength` (% semi-span) whose leading edge
+//             runs at `tipRake` (°) while the trailing edge continues straight
+//   winglet   blended winglet: a circular bend into a straight panel of
+//             `wingletHeight` (% semi-span) in total, `wingletCant` (° from
+//             vertical), LE sweep, toe-out (°, nose outboard), taper (tip/root
+//             chord) and an optional airfoil ('' = the wing tip section)
+export const TIP_SHAPES = ['flat', 'rounded', 'hoerner', 'raked', 'winglet'];
+export const TIP_DEFAULTS = {
+    tipShape: 'flat',
+    tipLength: 5, tipRake: 45,
+    wingletHeight: 15, wingletCant: 15, wingletSweep: 30, wingletToe: 2, wingletTaper: 0.4, wingletAirfoil: ''
+};
+
+const ROUND_STEPS = 8;
+const RAKE_STEPS = 8;
+const BEND_STEPS = 10;
+const WINGLET_STEPS = 12;
+
+// Settings from a partial object (e.g. parsed from the URL); unknown shapes fall back to flat.
+export function wingtipSettings(values = {}) {
+    const out = Object.assign({}, TIP_DEFAULTS);
+    Object.keys(TIP_DEFAULTS).forEach((key) => {
+        if (values[key] === undefined) return;
+        if (typeof TIP_DEFAULTS[key] === 'number') {
+            const v = parseFloat(values[key]);
+            if (Number.isFinite(v)) out[key] = v;
+        } else {
+            out[key] = String(values[key]);
+        }
+    });
+    if (!TIP_SHAPES.includes(out.tipShape)) out.tipShape = 'flat';
+    out.tipLength = Math.max(0, out.tipLength);
+    out.tipRake = Math.max(-80, Math.min(80, out.tipRake));
+    out.wingletHeight = Math.max(0, out.wingletHeight);
+    out.wingletCant = Math.max(0, Math.min(90, out.wingletCant));
+    out.wingletSweep = Math.max(-60, Math.min(70, out.wingletSweep));
+    out.wingletTaper = Math.max(0.05, Math.min(2, out.wingletTaper));
+    return out;
+}
+
+// Extra rings ([[x, y, z], ...] each, same point count as `section`) beyond the tip.
+// The rings are in the frame of the tip section: x chordwise, y normal to the
+// outer panel and z along it, in world units (the caller places them on the panel).
+// section  tip ring as [x, y]
+// tip      { z, height, semiSpan, teSlope, winglet }
+//          height: y of the tip chord line; teSlope: dx/dz of the trailing edge;
+//          winglet: the winglet airfoil on the untwisted tip chord, point for
+//          point like `section` (null = the tip section itself)
+export function wingtipRings(section, tip, settings) {
+    switch (settings.tipShape) {
+        case 'rounded': return roundedRings(section, tip, false);
+        case 'hoerner': return roundedRings(section, tip, true);
+        case 'raked': return rakedRings(section, tip, settings);
+        case 'winglet': return wingletRings(section, tip, settings);
+        default: return [];
+    }
+}
+
+// For every point: the y it collapses onto and how far outboard it ends up.
+// Rounded tips close onto the mean line over half the local thickness,
+// Hoerner tips onto the lower surface over the full thickness.
+function collapseTargets(section, hoerner) {
+    let te = 0;
+    for (let j = 1; j < section.length; j++) if (section[j][0] > section[te][0]) te = j;
+    const byX = (a, b) => a[0] - b[0];
+    const upper = section.slice(0, te + 1).sort(byX);
+    const lower = section.slice(te).sort(byX);
+    return section.map(([x, y], j) => {
+        const isUpper = j <= te;
+        const other = interpolateSurface(isUpper ? lower : upper, x);
+        const t = Math.abs(y - other);
+        if (hoerner) return { y: isUpper ? other : y, reach: t };
+        return { y: (y + other) / 2, reach: t / 2 };
+    });
+}
+
+function roundedRings(section, tip, hoerner) {
+    const targets = collapseTargets(section, hoerner);
+    const rings = [];
+    for (let i = 1; i <= ROUND_STEPS; i++) {
+        const phi = i / ROUND_STEPS * Math.PI / 2;
+        rings.push(section.map(([x, y], j) => {
+            const dz = targets[j].reach * Math.sin(phi);
+            return [x, targets[j].y + (y - targets[j].y) * Math.cos(phi), tip.z + dz];
+        }));
+    }
+    return rings;
+}
+
+function rakedRings(section, tip, settings) {
+    const length = settings.tipLength / 100 * tip.semiSpan;
+    if (length <= 0) return [];
+    const xs = section.map(p => p[0]);
+    const le0 = Math.min(...xs);
+    const te0 = Math.max(...xs);
+    const leSlope = Math.tan(settings.tipRake * Math.PI / 180);
+    const rings = [];
+    for (let i = 1; i <= RAKE_STEPS; i++) {
+        const dz = i / RAKE_STEPS * length;
+        const le = le0 + leSlope * dz;
+        const te = te0 + tip.teSlope * dz;
+        // chord (and with it the thickness) shrinks to what is left between the edges
+        const k = Math.max(0.02, (te - le) / (te0 - le0 || 1));
+        rings.push(section.map(([x, y]) => [le + (x - le0) * k, tip.height + (y - tip.height) * k, tip.z + dz]));
+    }
+    return rings;
+}
+
+function wingletRings(section, tip, settings) {
+    const total = settings.wingletHeight / 100 * tip.semiSpan;
+    if (total <= 0) return [];
+    const turn = Math.PI / 2 - settings.wingletCant * Math.PI / 180;
+    const radius = 0.25 * total;
+    const bend = radius * turn;
+    const straight = total - bend;
+    const target = tip.winglet || section;
+    const xs = section.map(p => p[0]);
+    const le0 = Math.min(...xs);
+    const chord0 = Math.max(...xs) - le0;
+    const sweep = Math.tan(settings.wingletSweep * Math.PI / 180);
+    const toe = settings.wingletToe * Math.PI / 180;
+
+    // point on the path (z, y relative to the tip) and its angle above the span direction:
+    // a circular bend through `turn`, then straight at the cant angle
+    const path = (s) => {
+        if (s <= bend) return { z: radius * Math.sin(s / radius), y: radius * (1 - Math.cos(s / radius)), psi: s / radius };
+        return { z: radius * Math.sin(turn) + Math.cos(turn) * (s - bend), y: radius * (1 - Math.cos(turn)) + Math.sin(turn) * (s - bend), psi: turn };
+    };
+
+    const lengths = [];
+    if (bend > 0) for (let i = 1; i <= BEND_STEPS; i++) lengths.push(bend * i / BEND_STEPS);
+    for (let i = 1; i <= WINGLET_STEPS; i++) lengths.push(bend + straight * i / WINGLET_STEPS);
+    return lengths.map((s) => {
+        // the section blends into the winglet airfoil and takes up the toe along the bend,
+        // then tapers and sweeps along the straight part
+        const b = bend > 0 ? Math.min(1, s / bend) : 1;
+        const q = Math.max(0, (s - bend) / straight);
+        const k = 1 + (settings.wingletTaper - 1) * q;
+        const le = le0 + sweep * Math.max(0, s - bend);
+        const pivot = le + 0.25 * chord0 * k;
+        const cos = Math.cos(toe * b);
+        const sin = Math.sin(toe * b);
+        const p = path(s);
+        return section.map(([x, y], j) => {
+            const bx = x + (target[j][0] - x) * b;
+            const by = y - tip.height + (target[j][1] - y) * b;
+            // taper about the leading edge, toe about the quarter chord (nose outboard positive)
+            const u = le + (bx - le0) * k - pivot;
+            const v = by * k;
+            const lx = pivot + u * cos - v * sin;
+            const lv = u * sin + v * cos;
+            return [lx, tip.height + p.y + lv * Math.cos(p.psi), tip.z + p.z - lv * Math.sin(p.psi)];
+        });
+    });
+}